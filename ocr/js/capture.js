@@ -22,6 +22,10 @@ class WindowCapture {
         // LocalStorage key for persisting crop settings
         this.storageKey = 'gameOcrCropSettings';
 
+        // Called with the new crop settings whenever the crop dialog is confirmed
+        // for a running capture (the crop and the profile's watch region may have changed)
+        this.onCropChange = null;
+
         // Load saved crop settings
         this.loadCropSettings();
     }
@@ -216,15 +220,34 @@ class WindowCapture {
                 bottom: this.cropSettings.bottom
             };
 
+            // Named regions of the crop (e.g. speaker, dialogue) as fractions
+            // [x, y, width, height] of the cropped area, stored per game profile
+            let regions = window.Profiles ? window.Profiles.get('captureRegions') : [];
+            let pendingRegionName = null; // Set while waiting for the user to drag a rectangle
+            // Part of the crop change detection watches (e.g. the dialogue box), null for all of it
+            let watchRegion = window.Profiles ? window.Profiles.get('watchRegion') : null;
+            let pendingWatch = false;     // Set while waiting for the user to drag the watch region
+            let dragStart = null;
+            let dragRect = null;
+
+            // Preview the detection model's input instead of the raw frame
+            let showModelView = false;
+            const canShowModelView = typeof ImagePreprocess !== 'undefined' && typeof MeikiOCR !== 'undefined';
+
             // Function to update cropped preview
             const updateCroppedPreview = () => {
                 // Calculate cropped dimensions
                 const croppedWidth = sourceCanvas.width - cropValues.left - cropValues.right;
                 const croppedHeight = sourceCanvas.height - cropValues.top - cropValues.bottom;
 
+                // The model sees the frame resized to fit its input, then preprocessed
+                const scale = showModelView
+                    ? Math.min(MeikiOCR.detectInputSize / croppedWidth, MeikiOCR.detectInputSize / croppedHeight)
+                    : 1;
+
                 // Resize preview canvas to match cropped dimensions
-                previewCanvas.width = croppedWidth;
-                previewCanvas.height = croppedHeight;
+                previewCanvas.width = Math.max(1, Math.round(croppedWidth * scale));
+                previewCanvas.height = Math.max(1, Math.round(croppedHeight * scale));
 
                 // Draw the cropped portion from source canvas
                 previewCtx.drawImage(
@@ -235,11 +258,219 @@ class WindowCapture {
                     croppedHeight,        // Source height
                     0,                    // Dest X
                     0,                    // Dest Y
-                    croppedWidth,         // Dest width
-                    croppedHeight         // Dest height
+                    previewCanvas.width,  // Dest width
+                    previewCanvas.height  // Dest height
                 );
+
+                if (showModelView && window.Profiles) {
+                    const imageData = previewCtx.getImageData(0, 0, previewCanvas.width, previewCanvas.height);
+                    ImagePreprocess.apply(imageData, window.Profiles.get('preprocess'));
+                    previewCtx.putImageData(imageData, 0, 0);
+                }
+
+                // Outline named regions, and the one being drawn
+                const lineWidth = Math.max(2, Math.round(previewCanvas.width / 400));
+                previewCtx.lineWidth = lineWidth;
+                previewCtx.font = `${Math.max(12, lineWidth * 8)}px Arial, sans-serif`;
+                previewCtx.textBaseline = 'top';
+                const toPixels = ([x, y, w, h]) => [
+                    x * previewCanvas.width, y * previewCanvas.height,
+                    w * previewCanvas.width, h * previewCanvas.height
+                ];
+                regions.forEach(region => {
+                    const [x, y, w, h] = toPixels(region.rect);
+                    previewCtx.strokeStyle = '#3584e4';
+                    previewCtx.setLineDash([]);
+                    previewCtx.strokeRect(x, y, w, h);
+                    previewCtx.fillStyle = '#3584e4';
+                    previewCtx.fillText(region.name, x + lineWidth * 2, y + lineWidth * 2);
+                });
+                if (watchRegion) {
+                    const [x, y, w, h] = toPixels(watchRegion);
+                    previewCtx.strokeStyle = '#2ec27e';
+                    previewCtx.setLineDash([]);
+                    previewCtx.strokeRect(x, y, w, h);
+                    previewCtx.fillStyle = '#2ec27e';
+                    previewCtx.textBaseline = 'bottom';
+                    previewCtx.fillText('watch', x + lineWidth * 2, y + h - lineWidth * 2);
+                    previewCtx.textBaseline = 'top';
+                }
+                if (dragRect) {
+                    const [x, y, w, h] = toPixels(dragRect);
+                    previewCtx.strokeStyle = '#f6d32d';
+                    previewCtx.setLineDash([8, 6]);
+                    previewCtx.strokeRect(x, y, w, h);
+                    previewCtx.setLineDash([]);
+                }
             };
 
+            // Pointer position as a fraction of the preview
+            const toFraction = (event) => {
+                const rect = previewCanvas.getBoundingClientRect();
+                return {
+                    x: Math.min(1, Math.max(0, (event.clientX - rect.left) / rect.width)),
+                    y: Math.min(1, Math.max(0, (event.clientY - rect.top) / rect.height))
+                };
+            };
+
+            const saveRegions = () => {
+                if (window.Profiles) {
+                    window.Profiles.set('captureRegions', regions);
+                    window.Profiles.set('watchRegion', watchRegion);
+                }
+                renderRegionList();
+                updateCroppedPreview();
+            };
+
+            previewCanvas.addEventListener('mousedown', (event) => {
+                if (!pendingRegionName && !pendingWatch) return;
+                dragStart = toFraction(event);
+                dragRect = null;
+            });
+
+            previewCanvas.addEventListener('mousemove', (event) => {
+                if (!dragStart) return;
+                const point = toFraction(event);
+                dragRect = [
+                    Math.min(dragStart.x, point.x), Math.min(dragStart.y, point.y),
+                    Math.abs(point.x - dragStart.x), Math.abs(point.y - dragStart.y)
+                ];
+                updateCroppedPreview();
+            });
+
+            previewCanvas.addEventListener('mouseup', () => {
+                if (!dragStart) return;
+                // Ignore stray clicks; a region needs some area
+                if (dragRect && dragRect[2] > 0.01 && dragRect[3] > 0.01) {
+                    if (pendingWatch) {
+                        watchRegion = dragRect;
+                        pendingWatch = false;
+                    } else {
+                        regions = regions.filter(region => region.name !== pendingRegionName);
+                        regions.push({ name: pendingRegionName, rect: dragRect });
+                        pendingRegionName = null;
+                    }
+                    previewCanvas.style.cursor = '';
+                }
+                dragStart = null;
+                dragRect = null;
+                saveRegions();
+            });
+
+            // Named region list with add/remove controls
+            const regionContainer = document.createElement('div');
+            regionContainer.style.cssText = `
+                display: flex;
+                flex-wrap: wrap;
+                align-items: center;
+                justify-content: center;
+                gap: 8px;
+                color: ${settings.foregroundColor};
+                font-family: Arial, sans-serif;
+                font-size: 14px;
+                flex-shrink: 0;
+            `;
+            const smallButtonStyle = `
+                padding: 4px 10px;
+                background: ${controlBackgroundColor};
+                color: ${settings.foregroundColor};
+                border: 1px solid ${borderColor};
+                border-radius: 4px;
+                font-size: 13px;
+                cursor: pointer;
+                font-family: Arial, sans-serif;
+            `;
+
+            const renderRegionList = () => {
+                regionContainer.innerHTML = '';
+
+                const label = document.createElement('span');
+                if (pendingWatch) {
+                    label.textContent = 'Drag on the preview to place the watch region (only changes there trigger OCR)';
+                } else if (pendingRegionName) {
+                    label.textContent = `Drag on the preview to place "${pendingRegionName}"`;
+                } else {
+                    label.textContent = regions.length > 0 ? 'Regions:' : 'Whole area is read as one region.';
+                }
+                regionContainer.appendChild(label);
+
+                regions.forEach(region => {
+                    const removeButton = document.createElement('button');
+                    removeButton.textContent = `${region.name} ✕`;
+                    removeButton.title = `Remove the "${region.name}" region`;
+                    removeButton.style.cssText = smallButtonStyle;
+                    removeButton.addEventListener('click', () => {
+                        regions = regions.filter(r => r !== region);
+                        saveRegions();
+                    });
+                    regionContainer.appendChild(removeButton);
+                });
+
+                const addButton = document.createElement('button');
+                addButton.textContent = pendingRegionName ? 'Cancel' : 'Add Region';
+                addButton.style.cssText = smallButtonStyle;
+                addButton.disabled = pendingWatch;
+                addButton.addEventListener('click', () => {
+                    if (pendingRegionName) {
+                        pendingRegionName = null;
+                    } else {
+                        const name = prompt('Region name ("speaker" is shown as the speaker label; e.g. speaker, dialogue, choices):');
+                        if (!name || !name.trim()) return;
+                        pendingRegionName = name.trim();
+                    }
+                    previewCanvas.style.cursor = pendingRegionName ? 'crosshair' : '';
+                    renderRegionList();
+                });
+                regionContainer.appendChild(addButton);
+
+                // Change detection watch region (green)
+                if (watchRegion && !pendingWatch) {
+                    const clearWatchButton = document.createElement('button');
+                    clearWatchButton.textContent = 'watch ✕';
+                    clearWatchButton.title = 'Watch the whole area for changes again';
+                    clearWatchButton.style.cssText = smallButtonStyle;
+                    clearWatchButton.addEventListener('click', () => {
+                        watchRegion = null;
+                        saveRegions();
+                    });
+                    regionContainer.appendChild(clearWatchButton);
+                }
+
+                const watchButton = document.createElement('button');
+                watchButton.textContent = pendingWatch ? 'Cancel' : (watchRegion ? 'Move Watch Region' : 'Set Watch Region');
+                watchButton.title = 'Only changes inside the watch region trigger OCR';
+                watchButton.style.cssText = smallButtonStyle;
+                watchButton.disabled = !!pendingRegionName;
+                watchButton.addEventListener('click', () => {
+                    pendingWatch = !pendingWatch;
+                    previewCanvas.style.cursor = pendingWatch ? 'crosshair' : '';
+                    renderRegionList();
+                });
+                regionContainer.appendChild(watchButton);
+            };
+
+            // Toggle between the raw crop and what the OCR model sees
+            const modelViewToggle = document.createElement('label');
+            modelViewToggle.style.cssText = `
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                gap: 8px;
+                color: ${settings.foregroundColor};
+                font-family: Arial, sans-serif;
+                font-size: 14px;
+                cursor: pointer;
+                flex-shrink: 0;
+            `;
+            const modelViewCheckbox = document.createElement('input');
+            modelViewCheckbox.type = 'checkbox';
+            modelViewCheckbox.addEventListener('change', () => {
+                showModelView = modelViewCheckbox.checked;
+                updateCroppedPreview();
+            });
+            modelViewToggle.appendChild(modelViewCheckbox);
+            modelViewToggle.appendChild(document.createTextNode('Show what the OCR model sees (active profile preprocessing)'));
+
             // Create slider control
             const createSlider = (label, initialValue, max, onChange) => {
                 const sliderContainer = document.createElement('div');
@@ -458,6 +689,13 @@ class WindowCapture {
             buttonContainer.appendChild(resetButton);
             container.appendChild(title);
             container.appendChild(previewContainer);
+            if (canShowModelView) {
+                container.appendChild(modelViewToggle);
+            }
+            if (window.Profiles) {
+                container.appendChild(regionContainer);
+                renderRegionList();
+            }
             container.appendChild(controlsContainer);
             container.appendChild(buttonContainer);
             overlay.appendChild(container);
@@ -469,70 +707,118 @@ class WindowCapture {
     }
 
     /**
-     * Capture a screenshot from the current window
+     * Make sure the stream is live and the crop still matches the window
      * Re-prompts for crop settings if window size has changed
-     * @returns {Promise<string>} Data URL of the cropped screenshot
+     * @returns {Promise<Object>} Crop rectangle in video coordinates {x, y, width, height}
      */
-    async captureWindowScreenshot() {
-        try {
-            // Initialize stream on first capture
-            if (!this.captureStream || !this.captureVideo) {
-                await this.initializeCaptureStream();
-            }
+    async prepareCapture() {
+        // Initialize stream on first capture
+        if (!this.captureStream || !this.captureVideo) {
+            await this.initializeCaptureStream();
+        }
 
-            // Check if window dimensions have changed
-            const currentDimensions = {
-                width: this.captureVideo.videoWidth,
-                height: this.captureVideo.videoHeight
-            };
+        // Check if window dimensions have changed
+        const currentDimensions = {
+            width: this.captureVideo.videoWidth,
+            height: this.captureVideo.videoHeight
+        };
 
-            if (this.lastWindowDimensions &&
-                (this.lastWindowDimensions.width !== currentDimensions.width ||
-                 this.lastWindowDimensions.height !== currentDimensions.height)) {
+        if (this.lastWindowDimensions &&
+            (this.lastWindowDimensions.width !== currentDimensions.width ||
+             this.lastWindowDimensions.height !== currentDimensions.height)) {
 
-                console.log('Window size changed, showing crop adjustment dialog');
-                console.log(`Previous: ${this.lastWindowDimensions.width}x${this.lastWindowDimensions.height}, Current: ${currentDimensions.width}x${currentDimensions.height}`);
+            console.log('Window size changed, showing crop adjustment dialog');
+            console.log(`Previous: ${this.lastWindowDimensions.width}x${this.lastWindowDimensions.height}, Current: ${currentDimensions.width}x${currentDimensions.height}`);
 
-                // Show crop adjustment dialog again with new dimensions
-                const userCropSettings = await this.showCropAdjustmentDialog(this.captureVideo);
+            // Show crop adjustment dialog again with new dimensions
+            const userCropSettings = await this.showCropAdjustmentDialog(this.captureVideo);
 
-                // Update crop settings with user values
-                this.cropSettings = { ...userCropSettings };
-                this.saveCropSettings();
-            }
+            // Update crop settings with user values
+            this.cropSettings = { ...userCropSettings };
+            this.saveCropSettings();
+            if (this.onCropChange) this.onCropChange(this.cropSettings);
+        }
 
-            // Store current dimensions for next comparison
-            this.lastWindowDimensions = currentDimensions;
+        // Store current dimensions for next comparison
+        this.lastWindowDimensions = currentDimensions;
 
-            // Create canvas and capture current frame
-            const canvas = document.createElement('canvas');
-            canvas.width = this.captureVideo.videoWidth;
-            canvas.height = this.captureVideo.videoHeight;
+        return {
+            x: this.cropSettings.left,
+            y: this.cropSettings.top,
+            width: currentDimensions.width - this.cropSettings.left - this.cropSettings.right,
+            height: currentDimensions.height - this.cropSettings.top - this.cropSettings.bottom
+        };
+    }
 
-            const ctx = canvas.getContext('2d');
-            ctx.drawImage(this.captureVideo, 0, 0);
+    /**
+     * Capture the current frame as a cropped ImageBitmap
+     * Skips the PNG encode/decode round trip, so this is the fast path for OCR
+     * @returns {Promise<ImageBitmap>} Cropped frame (the caller should close() it)
+     */
+    async captureWindowFrame() {
+        try {
+            const crop = await this.prepareCapture();
+            return await createImageBitmap(this.captureVideo, crop.x, crop.y, crop.width, crop.height);
+        } catch (error) {
+            throw new Error('Screenshot capture cancelled or failed: ' + error.message);
+        }
+    }
 
-            // Create a new canvas for the cropped version
-            const croppedCanvas = document.createElement('canvas');
-            const croppedWidth = canvas.width - this.cropSettings.left - this.cropSettings.right;
-            const croppedHeight = canvas.height - this.cropSettings.top - this.cropSettings.bottom;
+    /**
+     * Cut named regions out of a captured frame
+     * @param {ImageBitmap} frame - Cropped frame from captureWindowFrame
+     * @param {Array} regions - [{name, rect: [x, y, width, height]}] as fractions of the frame
+     * @returns {Promise<Array>} [{name, bitmap, x, y}] where x/y is the region's offset in the
+     *   frame (the caller should close() each bitmap)
+     */
+    async splitFrame(frame, regions) {
+        return await Promise.all(regions.map(async (region) => {
+            const [rx, ry, rw, rh] = region.rect;
+            const x = Math.round(rx * frame.width);
+            const y = Math.round(ry * frame.height);
+            const width = Math.max(1, Math.round(rw * frame.width));
+            const height = Math.max(1, Math.round(rh * frame.height));
+            return { name: region.name, bitmap: await createImageBitmap(frame, x, y, width, height), x, y };
+        }));
+    }
 
-            croppedCanvas.width = croppedWidth;
-            croppedCanvas.height = croppedHeight;
+    /**
+     * Show the crop dialog for the running capture and save the result
+     * @returns {Promise<Object>} The new crop settings {left, right, top, bottom}
+     */
+    async adjustCrop() {
+        const userCropSettings = await this.showCropAdjustmentDialog(this.captureVideo);
+        this.cropSettings = { ...userCropSettings };
+        this.saveCropSettings();
+        if (this.onCropChange) this.onCropChange(this.cropSettings);
+        return this.cropSettings;
+    }
 
-            const croppedCtx = croppedCanvas.getContext('2d');
+    /**
+     * Capture a screenshot from the current window
+     * Re-prompts for crop settings if window size has changed
+     * @returns {Promise<string>} Data URL of the cropped screenshot
+     */
+    async captureWindowScreenshot() {
+        try {
+            const crop = await this.prepareCapture();
 
             // Draw the cropped portion (removes window chrome)
+            const croppedCanvas = document.createElement('canvas');
+            croppedCanvas.width = crop.width;
+            croppedCanvas.height = crop.height;
+
+            const croppedCtx = croppedCanvas.getContext('2d');
             croppedCtx.drawImage(
-                canvas,
-                this.cropSettings.left,           // Source X
-                this.cropSettings.top,            // Source Y
-                croppedWidth,                     // Source width
-                croppedHeight,                    // Source height
+                this.captureVideo,
+                crop.x,                           // Source X
+                crop.y,                           // Source Y
+                crop.width,                       // Source width
+                crop.height,                      // Source height
                 0,                                // Dest X
                 0,                                // Dest Y
-                croppedWidth,                     // Dest width
-                croppedHeight                     // Dest height
+                crop.width,                       // Dest width
+                crop.height                       // Dest height
             );
 
             // Convert to PNG
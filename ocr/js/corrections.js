@@ -0,0 +1,324 @@
+// Corrections Module
+// Learns OCR misreads from lines fixed by hand in the text display. Each edit
+// is diffed against the text that was shown, and the differing characters
+// (e.g. 力 -> カ) and the words around them (e.g. カタ力ナ -> カタカナ) are
+// counted as substitutions. Accepted substitutions are applied to new OCR
+// output; frequent ones are suggested in the review screen, and frequent word
+// substitutions can be auto-applied. Character substitutions replace the
+// character everywhere (力 -> カ would also rewrite the kanji 力), so they are
+// only ever applied once accepted by hand. Corrections are stored per game
+// profile since misreads depend on the game's font.
+// Entry: {from, to, kind: 'char' | 'word', count, status: 'pending' | 'accepted' | 'rejected'}
+const Corrections = {
+    SUGGEST_COUNT: 3,     // times a substitution must be seen before it is suggested
+    MAX_LENGTH: 12,       // longer differences are rewrites, not misreads
+
+    getAll() {
+        return Profiles.get('corrections');
+    },
+
+    saveAll(corrections) {
+        Profiles.set('corrections', corrections);
+    },
+
+    // Pending corrections seen often enough to suggest
+    isSuggested(correction) {
+        return correction.status === 'pending' && correction.count >= this.SUGGEST_COUNT;
+    },
+
+    getSuggestedCount() {
+        return this.getAll().filter(c => this.isSuggested(c)).length;
+    },
+
+    // Rough script of a character, used to find word boundaries in text without spaces
+    charClass(char) {
+        if (/\s/u.test(char)) return 'space';
+        if (/[ぁ-ゖゝゞ]/u.test(char)) return 'hiragana';
+        if (/[ァ-ヺー・ｦ-ﾝ]/u.test(char)) return 'katakana';
+        if (/[々〆〇\p{Unified_Ideograph}]/u.test(char)) return 'kanji';
+        if (/[\p{L}\p{N}]/u.test(char)) return 'alnum';
+        return 'symbol';
+    },
+
+    // Differing runs between two strings, by code point, as
+    // {a: [start, end], b: [start, end]} index ranges in `before` and `after`
+    diff(before, after) {
+        const a = Array.from(before);
+        const b = Array.from(after);
+
+        // Longest common subsequence table, filled from the end
+        const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+            }
+        }
+
+        const runs = [];
+        let i = 0;
+        let j = 0;
+        let run = null;
+        while (i < a.length || j < b.length) {
+            if (i < a.length && j < b.length && a[i] === b[j]) {
+                if (run) runs.push(run);
+                run = null;
+                i++;
+                j++;
+                continue;
+            }
+            if (!run) run = { a: [i, i], b: [j, j] };
+            if (j < b.length && (i === a.length || lcs[i][j + 1] >= lcs[i + 1][j])) {
+                j++;
+                run.b[1] = j;
+            } else {
+                i++;
+                run.a[1] = i;
+            }
+        }
+        if (run) runs.push(run);
+
+        // Runs split by a single unchanged character are one misread
+        // (e.g. wrold -> world is an insertion and a deletion around the r)
+        const merged = [];
+        for (const next of runs) {
+            const last = merged[merged.length - 1];
+            if (last && next.a[0] - last.a[1] <= 1) {
+                last.a[1] = next.a[1];
+                last.b[1] = next.b[1];
+            } else {
+                merged.push(next);
+            }
+        }
+        return { a, b, runs: merged };
+    },
+
+    // Substitutions between the shown text and the user's edit
+    extract(before, after) {
+        const { a, b, runs } = this.diff(before, after);
+        const substitutions = [];
+
+        for (const run of runs) {
+            const from = a.slice(run.a[0], run.a[1]).join('');
+            const to = b.slice(run.b[0], run.b[1]).join('');
+            // Pure insertions can't be applied to future text
+            if (!from || from.length > this.MAX_LENGTH || to.length > this.MAX_LENGTH) continue;
+            substitutions.push({ from, to, kind: 'char' });
+
+            // Widen to the surrounding word: unchanged neighbours of the same
+            // script as the corrected text
+            const edgeClass = (index) => this.charClass(b[index]);
+            let start = run.a[0];
+            let startB = run.b[0];
+            const leftClass = to ? edgeClass(run.b[0]) : null;
+            while (start > 0 && startB > 0 && leftClass && a[start - 1] === b[startB - 1] && this.charClass(a[start - 1]) === leftClass) {
+                start--;
+                startB--;
+            }
+            let end = run.a[1];
+            let endB = run.b[1];
+            const rightClass = to ? edgeClass(run.b[1] - 1) : null;
+            while (end < a.length && endB < b.length && rightClass && a[end] === b[endB] && this.charClass(a[end]) === rightClass) {
+                end++;
+                endB++;
+            }
+
+            const word = { from: a.slice(start, end).join(''), to: b.slice(startB, endB).join(''), kind: 'word' };
+            if (word.from !== from && word.from.length <= this.MAX_LENGTH && word.to.length <= this.MAX_LENGTH) {
+                substitutions.push(word);
+            }
+        }
+        return substitutions;
+    },
+
+    // Record the substitutions in an edit
+    learn(before, after) {
+        if (!before || !after || before === after) return;
+
+        const substitutions = this.extract(before, after);
+        if (substitutions.length === 0) return;
+
+        const corrections = this.getAll();
+        for (const { from, to, kind } of substitutions) {
+            const existing = corrections.find(c => c.from === from && c.to === to);
+            if (existing) {
+                existing.count++;
+            } else {
+                corrections.push({ from, to, kind, count: 1, status: 'pending' });
+            }
+            console.log(`Learned correction: ${from} -> ${to}`);
+        }
+        this.saveAll(corrections);
+    },
+
+    // Corrections to apply: accepted ones, plus suggested word corrections if
+    // auto-apply is on. Longest first so word corrections win over the characters inside them.
+    getActive() {
+        const autoApply = Profiles.get('autoApplyCorrections');
+        return this.getAll()
+            .filter(c => c.status === 'accepted' || (autoApply && c.kind === 'word' && this.isSuggested(c)))
+            .sort((x, y) => y.from.length - x.from.length);
+    },
+
+    // Apply active corrections to an OCR line
+    apply(text) {
+        return this.getActive().reduce((result, c) => result.replaceAll(c.from, c.to), text);
+    },
+
+    setStatus(index, status) {
+        const corrections = this.getAll();
+        corrections[index].status = status;
+        this.saveAll(corrections);
+    },
+
+    remove(index) {
+        const corrections = this.getAll();
+        corrections.splice(index, 1);
+        this.saveAll(corrections);
+    },
+
+    // Review screen: accept, reject or delete learned corrections
+    showReview(onClose) {
+        let settings = { accentColor: '#2b2b2b', foregroundColor: '#ffffff', backgroundColor: '#000000' };
+        let borderColor = '#555';
+        let controlBackgroundColor = '#444';
+        if (window.Settings) {
+            settings = window.Settings.getSettings();
+            borderColor = window.Settings.getTintedBorderColor(settings.backgroundColor);
+            controlBackgroundColor = window.Settings.getTintedBorderColor(settings.accentColor);
+        }
+
+        const buttonStyle = `
+            padding: 4px 10px;
+            background: ${controlBackgroundColor};
+            color: ${settings.foregroundColor};
+            border: 1px solid ${borderColor};
+            border-radius: 4px;
+            font-size: 13px;
+            cursor: pointer;
+        `;
+
+        const overlay = document.createElement('div');
+        overlay.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            width: 100%;
+            height: 100%;
+            background: rgba(0, 0, 0, 0.9);
+            z-index: 999999;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            padding: 20px;
+            box-sizing: border-box;
+        `;
+
+        const container = document.createElement('div');
+        container.style.cssText = `
+            background: ${settings.accentColor};
+            border: 1px solid ${borderColor};
+            border-radius: 12px;
+            padding: 20px;
+            width: min(700px, 90vw);
+            max-height: 90vh;
+            display: flex;
+            flex-direction: column;
+            gap: 12px;
+            box-sizing: border-box;
+            color: ${settings.foregroundColor};
+            font-family: Arial, sans-serif;
+            font-size: 14px;
+        `;
+
+        const title = document.createElement('h2');
+        title.textContent = 'Learned Corrections';
+        title.style.cssText = 'margin: 0; font-size: 20px; text-align: center;';
+
+        const help = document.createElement('div');
+        help.textContent = `Accepted corrections are applied to new OCR lines. Corrections seen ${this.SUGGEST_COUNT} or more times are marked as suggested; auto-apply only uses suggested word corrections.`;
+        help.style.cssText = 'text-align: center;';
+
+        const table = document.createElement('div');
+        table.style.cssText = `
+            display: grid;
+            grid-template-columns: 1fr auto auto auto;
+            gap: 6px 12px;
+            align-items: center;
+            overflow-y: auto;
+            min-height: 0;
+        `;
+
+        const statusLabels = { pending: 'Pending', accepted: 'Accepted', rejected: 'Rejected' };
+
+        const render = () => {
+            table.innerHTML = '';
+            const corrections = this.getAll();
+            if (corrections.length === 0) {
+                table.textContent = 'No corrections learned yet. Edit a line to teach one.';
+                return;
+            }
+
+            // Most frequent first, keeping the stored index for updates
+            corrections
+                .map((correction, index) => ({ correction, index }))
+                .sort((x, y) => y.correction.count - x.correction.count)
+                .forEach(({ correction, index }) => {
+                    const text = document.createElement('div');
+                    text.textContent = `${correction.from} → ${correction.to || '(delete)'}`;
+                    text.style.cssText = 'font-size: 18px; overflow-wrap: anywhere;';
+
+                    // Character corrections have no context to tell a misread from a correct character
+                    if (correction.kind === 'char') {
+                        const warning = document.createElement('div');
+                        warning.textContent = `Replaces every ${correction.from} in every line, even where it is correct`;
+                        warning.style.cssText = 'font-size: 12px; opacity: 0.7;';
+                        text.appendChild(warning);
+                    }
+
+                    const count = document.createElement('div');
+                    count.textContent = `${correction.kind} ×${correction.count}`;
+
+                    const status = document.createElement('div');
+                    status.textContent = this.isSuggested(correction) ? 'Suggested' : statusLabels[correction.status];
+
+                    const buttons = document.createElement('div');
+                    buttons.style.cssText = 'display: flex; gap: 4px;';
+                    const addButton = (label, onClick) => {
+                        const button = document.createElement('button');
+                        button.textContent = label;
+                        button.style.cssText = buttonStyle;
+                        button.addEventListener('click', () => {
+                            onClick();
+                            render();
+                        });
+                        buttons.appendChild(button);
+                    };
+                    if (correction.status !== 'accepted') addButton('Accept', () => this.setStatus(index, 'accepted'));
+                    if (correction.status !== 'rejected') addButton('Reject', () => this.setStatus(index, 'rejected'));
+                    addButton('Delete', () => this.remove(index));
+
+                    table.appendChild(text);
+                    table.appendChild(count);
+                    table.appendChild(status);
+                    table.appendChild(buttons);
+                });
+        };
+
+        const closeButton = document.createElement('button');
+        closeButton.textContent = 'Close';
+        closeButton.style.cssText = buttonStyle + 'padding: 12px 24px; font-size: 16px; align-self: center;';
+        closeButton.addEventListener('click', () => {
+            overlay.remove();
+            if (onClose) onClose();
+        });
+
+        container.appendChild(title);
+        container.appendChild(help);
+        container.appendChild(table);
+        container.appendChild(closeButton);
+        overlay.appendChild(container);
+        document.body.appendChild(overlay);
+
+        render();
+    }
+};
@@ -8,19 +8,47 @@
 class ChangeDetector {
     constructor(options = {}) {
         // Configuration
-        this.scanInterval = options.scanInterval || 80; // ms between frame checks
+        this.scanInterval = options.scanInterval || 80; // Minimum ms between frame checks
         this.scaleDownFactor = options.scaleDownFactor || 4; // Scale down by 1/4 for efficiency
         this.changeThreshold = options.changeThreshold || 0.015; // 5% pixels changed = "high change"
         this.lowChangeThreshold = options.lowChangeThreshold || 0.01; // 1% = "stable"
         this.stabilityFrames = options.stabilityFrames || 3; // Frames needed to confirm stability
-        this.pixelDiffThreshold = options.pixelDiffThreshold || 20; // RGB diff threshold per pixel
+        this.pixelDiffThreshold = options.pixelDiffThreshold || 7; // Grayscale diff threshold per pixel
+        this.noiseWindow = options.noiseWindow || 100; // Checks the adaptive noise floor is measured over
+
+        // Thresholds before calibration, and the ones adaptive mode never goes below
+        this.defaults = {
+            changeThreshold: this.changeThreshold,
+            lowChangeThreshold: this.lowChangeThreshold,
+            pixelDiffThreshold: this.pixelDiffThreshold
+        };
+        this.baseThresholds = { ...this.defaults };
+        this.adaptive = false;
+        this.noiseSamples = [];     // Recent change percentages, for adaptive mode
+        this.calibration = null;    // {histograms, timeoutId, reject} while calibrating
 
         // State
         this.videoElement = null;
         this.cropSettings = null;
+        this.watchRegion = null;    // [x, y, width, height] as fractions of the crop, null for all of it
         this.onTrigger = null;
-        this.intervalId = null;
-        this.lastFrame = null;
+        this.intervalId = null;     // Fallback timer where requestVideoFrameCallback is unsupported
+        this.frameCallbackId = null;
+        this.noFrameTimeoutId = null;
+        this.running = false;
+        this.mode = null;           // 'video-frame' or 'interval'
+
+        // Reused between checks: scaled-down canvas and grayscale buffers
+        this.canvas = null;
+        this.ctx = null;
+        this.lastFrame = null;      // Grayscale of the previous check, or null
+        this.currentFrame = null;
+
+        // Frame rate adaptation: check every frameSkip-th video frame
+        this.frameDuration = null;  // Smoothed ms between video frames
+        this.lastFrameTime = null;
+        this.frameSkip = 1;
+        this.framesSinceCheck = 0;
 
         // State machine: idle → change_detected → waiting_for_stability → (trigger) → idle
         this.state = 'idle';
@@ -29,8 +57,52 @@ class ChangeDetector {
         // Statistics (for debugging)
         this.stats = {
             lastChangePercent: 0,
-            triggeredCount: 0
+            triggeredCount: 0,
+            noiseFloor: null
         };
+        this.resetTimingStats();
+    }
+
+    /**
+     * Set thresholds (e.g. a game profile's calibrated ones) and adaptive mode
+     * @param {Object|null} thresholds - {changeThreshold, lowChangeThreshold, pixelDiffThreshold}; null for defaults
+     * @param {boolean} adaptive - Keep raising the change thresholds above the measured noise floor
+     */
+    configure(thresholds, adaptive = false) {
+        const baseThresholds = { ...this.defaults, ...(thresholds || {}) };
+        // Unchanged settings keep the measured noise floor
+        if (adaptive === this.adaptive && JSON.stringify(baseThresholds) === JSON.stringify(this.baseThresholds)) {
+            return;
+        }
+
+        this.baseThresholds = baseThresholds;
+        Object.assign(this, this.baseThresholds);
+        this.adaptive = adaptive;
+        this.noiseSamples = [];
+        this.stats.noiseFloor = null;
+    }
+
+    /**
+     * Only watch part of the crop (e.g. the dialogue box) so movement elsewhere
+     * doesn't start a trigger; OCR still reads the whole crop
+     * @param {Array|null} watchRegion - [x, y, width, height] as fractions of the crop, null for all of it
+     */
+    setWatchRegion(watchRegion) {
+        this.watchRegion = watchRegion;
+        this.state = 'idle';
+        this.stableFrameCount = 0;
+        this.lastFrame = null;
+    }
+
+    /**
+     * Reset the CPU time and frame counters reported by getStatus
+     */
+    resetTimingStats() {
+        this.stats.startTime = performance.now();
+        this.stats.frames = 0;          // Video frames delivered
+        this.stats.checks = 0;          // Frames compared
+        this.stats.checkTime = 0;       // Total ms spent comparing
+        this.stats.lastCheckTime = 0;
     }
 
     /**
@@ -38,34 +110,135 @@ class ChangeDetector {
      * @param {HTMLVideoElement} videoElement - Video element to monitor
      * @param {Object} cropSettings - Crop settings {left, right, top, bottom}
      * @param {Function} onTrigger - Callback to fire when OCR should be triggered
+     * @param {Array|null} watchRegion - Part of the crop to watch, see setWatchRegion
      */
-    start(videoElement, cropSettings, onTrigger) {
+    start(videoElement, cropSettings, onTrigger, watchRegion = null) {
         this.stop(); // Clean up any existing monitoring
 
         this.videoElement = videoElement;
         this.cropSettings = cropSettings;
+        this.watchRegion = watchRegion;
         this.onTrigger = onTrigger;
         this.state = 'idle';
         this.stableFrameCount = 0;
         this.lastFrame = null;
-
-        console.log('ChangeDetector: Starting monitoring');
-        this.intervalId = setInterval(() => this.checkFrame(), this.scanInterval);
+        this.frameDuration = null;
+        this.lastFrameTime = null;
+        this.frameSkip = 1;
+        this.framesSinceCheck = 0;
+        this.running = true;
+        this.resetTimingStats();
+
+        // Check when the video actually has a new frame; fall back to polling
+        if (typeof videoElement.requestVideoFrameCallback === 'function') {
+            console.log('ChangeDetector: Starting monitoring (per video frame)');
+            this.mode = 'video-frame';
+            this.requestFrame();
+        } else {
+            console.log('ChangeDetector: Starting monitoring');
+            this.mode = 'interval';
+            this.intervalId = setInterval(() => this.checkFrame(), this.scanInterval);
+        }
     }
 
     /**
      * Stop monitoring
      */
     stop() {
+        if (!this.running) {
+            return;
+        }
+        this.running = false;
+
         if (this.intervalId) {
             clearInterval(this.intervalId);
             this.intervalId = null;
-            console.log('ChangeDetector: Stopped monitoring');
         }
+        if (this.frameCallbackId !== null) {
+            this.videoElement.cancelVideoFrameCallback(this.frameCallbackId);
+            this.frameCallbackId = null;
+        }
+        clearTimeout(this.noFrameTimeoutId);
+        this.noFrameTimeoutId = null;
+
+        // Frames after a restart may come from another capture area
+        if (this.calibration) {
+            clearTimeout(this.calibration.timeoutId);
+            this.calibration.reject(new Error('Change detection stopped during calibration'));
+            this.calibration = null;
+        }
+
+        console.log('ChangeDetector: Stopped monitoring', this.getStatus());
         this.state = 'idle';
         this.lastFrame = null;
     }
 
+    /**
+     * Wait for the next video frame. Screen capture only delivers frames when
+     * something changes, so a still screen is counted as stable frames.
+     */
+    requestFrame() {
+        this.frameCallbackId = this.videoElement.requestVideoFrameCallback((now) => this.onVideoFrame(now));
+
+        clearTimeout(this.noFrameTimeoutId);
+        this.noFrameTimeoutId = setTimeout(() => this.onNoFrame(), this.scanInterval);
+    }
+
+    /**
+     * Handle a new video frame, skipping frames to check about every scanInterval ms
+     * @param {number} now - Frame callback timestamp
+     */
+    onVideoFrame(now) {
+        this.frameCallbackId = null;
+        if (!this.running) {
+            return;
+        }
+        this.stats.frames++;
+
+        // Smoothed frame duration; gaps from a still screen aren't frame rate
+        if (this.lastFrameTime !== null) {
+            const elapsed = now - this.lastFrameTime;
+            if (elapsed < this.scanInterval) {
+                this.frameDuration = this.frameDuration === null ? elapsed : this.frameDuration * 0.9 + elapsed * 0.1;
+                this.frameSkip = Math.max(1, Math.round(this.scanInterval / this.frameDuration));
+            }
+        }
+        this.lastFrameTime = now;
+
+        this.framesSinceCheck++;
+        if (this.framesSinceCheck >= this.frameSkip) {
+            this.framesSinceCheck = 0;
+            this.checkFrame();
+        }
+        this.requestFrame();
+    }
+
+    /**
+     * No new frame for scanInterval ms: the screen hasn't changed
+     */
+    onNoFrame() {
+        this.noFrameTimeoutId = null;
+        if (!this.running) {
+            return;
+        }
+
+        if (!(window.Timer && !window.Timer.isRunning)) {
+            if (this.calibration && this.lastFrame) {
+                // A still frame: every pixel unchanged
+                const histogram = new Uint32Array(256);
+                histogram[0] = this.lastFrame.length;
+                this.calibration.histograms.push(histogram);
+            } else if (!this.calibration) {
+                this.stats.lastChangePercent = 0;
+                this.recordNoise(0);
+                if (this.state !== 'idle') {
+                    this.processStateChange(0);
+                }
+            }
+        }
+        this.noFrameTimeoutId = setTimeout(() => this.onNoFrame(), this.scanInterval);
+    }
+
     /**
      * Check current frame for changes
      */
@@ -79,29 +252,51 @@ class ChangeDetector {
             return;
         }
 
+        const startTime = performance.now();
         try {
-            // Capture current frame (scaled down)
+            // Capture current frame (scaled down, grayscale)
             const currentFrame = this.captureScaledFrame();
 
-            if (!this.lastFrame) {
-                this.lastFrame = currentFrame;
+            if (!this.lastFrame || this.lastFrame.length !== currentFrame.length) {
+                this.swapFrames();
+                return;
+            }
+
+            // Measure noise without triggering while calibrating
+            if (this.calibration) {
+                this.calibration.histograms.push(this.diffHistogram(this.lastFrame, currentFrame));
+                this.swapFrames();
                 return;
             }
 
             // Calculate pixel difference percentage
             const changePercent = this.compareFrames(this.lastFrame, currentFrame);
             this.stats.lastChangePercent = changePercent;
+            this.recordNoise(changePercent);
 
             // State machine logic
             this.processStateChange(changePercent);
 
-            this.lastFrame = currentFrame;
+            this.swapFrames();
 
         } catch (error) {
             console.warn('ChangeDetector: Error checking frame:', error);
+        } finally {
+            this.stats.lastCheckTime = performance.now() - startTime;
+            this.stats.checkTime += this.stats.lastCheckTime;
+            this.stats.checks++;
         }
     }
 
+    /**
+     * The current frame becomes the previous one; its old buffer is reused next check
+     */
+    swapFrames() {
+        const previous = this.lastFrame;
+        this.lastFrame = this.currentFrame;
+        this.currentFrame = previous && previous.length === this.lastFrame.length ? previous : null;
+    }
+
     /**
      * Process state changes based on change percentage
      * @param {number} changePercent - Percentage of pixels that changed (0-1)
@@ -155,29 +350,47 @@ class ChangeDetector {
     }
 
     /**
-     * Capture and scale down current video frame
-     * @returns {ImageData} Scaled frame data
+     * Capture and scale down current video frame as grayscale
+     * @returns {Uint8Array} Luma of each pixel of the scaled frame
      */
     captureScaledFrame() {
         // Calculate cropped dimensions
-        const cropWidth = this.videoElement.videoWidth - this.cropSettings.left - this.cropSettings.right;
-        const cropHeight = this.videoElement.videoHeight - this.cropSettings.top - this.cropSettings.bottom;
+        let cropLeft = this.cropSettings.left;
+        let cropTop = this.cropSettings.top;
+        let cropWidth = this.videoElement.videoWidth - this.cropSettings.left - this.cropSettings.right;
+        let cropHeight = this.videoElement.videoHeight - this.cropSettings.top - this.cropSettings.bottom;
+
+        // Narrow down to the watch region
+        if (this.watchRegion) {
+            const [x, y, width, height] = this.watchRegion;
+            cropLeft += Math.round(x * cropWidth);
+            cropTop += Math.round(y * cropHeight);
+            cropWidth = Math.round(width * cropWidth);
+            cropHeight = Math.round(height * cropHeight);
+        }
 
-        // Calculate scaled dimensions
-        const scaledWidth = Math.floor(cropWidth / this.scaleDownFactor);
-        const scaledHeight = Math.floor(cropHeight / this.scaleDownFactor);
+        // Calculate scaled dimensions (at least one pixel)
+        const scaledWidth = Math.max(1, Math.floor(cropWidth / this.scaleDownFactor));
+        const scaledHeight = Math.max(1, Math.floor(cropHeight / this.scaleDownFactor));
 
-        // Create canvas
-        const canvas = document.createElement('canvas');
-        canvas.width = scaledWidth;
-        canvas.height = scaledHeight;
-        const ctx = canvas.getContext('2d');
+        // One canvas, recreated only when the size changes
+        if (!this.canvas || this.canvas.width !== scaledWidth || this.canvas.height !== scaledHeight) {
+            if (typeof OffscreenCanvas !== 'undefined') {
+                this.canvas = new OffscreenCanvas(scaledWidth, scaledHeight);
+            } else {
+                this.canvas = document.createElement('canvas');
+                this.canvas.width = scaledWidth;
+                this.canvas.height = scaledHeight;
+            }
+            this.ctx = this.canvas.getContext('2d', { willReadFrequently: true });
+        }
+        const ctx = this.ctx;
 
         // Draw cropped and scaled frame
         ctx.drawImage(
             this.videoElement,
-            this.cropSettings.left,
-            this.cropSettings.top,
+            cropLeft,
+            cropTop,
             cropWidth,
             cropHeight,
             0,
@@ -186,34 +399,154 @@ class ChangeDetector {
             scaledHeight
         );
 
-        return ctx.getImageData(0, 0, scaledWidth, scaledHeight);
+        const data = ctx.getImageData(0, 0, scaledWidth, scaledHeight).data;
+        const pixelCount = scaledWidth * scaledHeight;
+        if (!this.currentFrame || this.currentFrame.length !== pixelCount) {
+            this.currentFrame = new Uint8Array(pixelCount);
+        }
+
+        // Integer approximation of Rec. 601 luma
+        const gray = this.currentFrame;
+        for (let i = 0, j = 0; j < pixelCount; i += 4, j++) {
+            gray[j] = (data[i] * 77 + data[i + 1] * 150 + data[i + 2] * 29) >> 8;
+        }
+        return gray;
     }
 
     /**
-     * Compare two frames and calculate change percentage
-     * @param {ImageData} frame1 - First frame
-     * @param {ImageData} frame2 - Second frame
+     * Compare two grayscale frames and calculate change percentage
+     * @param {Uint8Array} frame1 - First frame
+     * @param {Uint8Array} frame2 - Second frame
      * @returns {number} Percentage of pixels that changed (0-1)
      */
     compareFrames(frame1, frame2) {
-        const data1 = frame1.data;
-        const data2 = frame2.data;
         let diffCount = 0;
 
-        // Compare RGB values (skip alpha channel)
-        for (let i = 0; i < data1.length; i += 4) {
-            const rDiff = Math.abs(data1[i] - data2[i]);
-            const gDiff = Math.abs(data1[i + 1] - data2[i + 1]);
-            const bDiff = Math.abs(data1[i + 2] - data2[i + 2]);
-            const totalDiff = rDiff + gDiff + bDiff;
-
-            if (totalDiff > this.pixelDiffThreshold) {
+        for (let i = 0; i < frame1.length; i++) {
+            if (Math.abs(frame1[i] - frame2[i]) > this.pixelDiffThreshold) {
                 diffCount++;
             }
         }
 
-        const totalPixels = data1.length / 4;
-        return diffCount / totalPixels;
+        return diffCount / frame1.length;
+    }
+
+    /**
+     * Count pixels by how much they changed between two grayscale frames
+     * @param {Uint8Array} frame1 - First frame
+     * @param {Uint8Array} frame2 - Second frame
+     * @returns {Uint32Array} Pixel count for each difference 0-255
+     */
+    diffHistogram(frame1, frame2) {
+        const histogram = new Uint32Array(256);
+        for (let i = 0; i < frame1.length; i++) {
+            histogram[Math.abs(frame1[i] - frame2[i])]++;
+        }
+        return histogram;
+    }
+
+    /**
+     * Adaptive mode: keep the change thresholds above the noise floor, the median
+     * change over recent checks. Text appearing is a short burst and barely moves
+     * the median; animated backgrounds raise it.
+     * @param {number} changePercent - Change measured by the latest check (0-1)
+     */
+    recordNoise(changePercent) {
+        if (!this.adaptive) {
+            return;
+        }
+
+        this.noiseSamples.push(changePercent);
+        if (this.noiseSamples.length > this.noiseWindow) {
+            this.noiseSamples.shift();
+        }
+        if (this.noiseSamples.length < 20) {
+            return;
+        }
+
+        const sorted = this.noiseSamples.slice().sort((a, b) => a - b);
+        const noiseFloor = sorted[Math.floor(sorted.length / 2)];
+        this.stats.noiseFloor = noiseFloor;
+        this.lowChangeThreshold = Math.max(this.baseThresholds.lowChangeThreshold, noiseFloor * 1.5 + 0.002);
+        this.changeThreshold = Math.max(this.baseThresholds.changeThreshold, this.lowChangeThreshold * 1.5);
+    }
+
+    /**
+     * Watch the stream during idle play and propose thresholds above its noise
+     * (animated backgrounds, particles, idle animation). Triggering is paused meanwhile.
+     * @param {number} durationMs - How long to watch
+     * @returns {Promise<Object>} Proposed {changeThreshold, lowChangeThreshold, pixelDiffThreshold}
+     *   plus the measured noiseFloor and number of samples
+     */
+    calibrate(durationMs = 5000) {
+        if (!this.running) {
+            return Promise.reject(new Error('Change detection is not running'));
+        }
+        if (this.calibration) {
+            return Promise.reject(new Error('Calibration is already running'));
+        }
+
+        console.log(`ChangeDetector: Calibrating for ${durationMs} ms`);
+        this.state = 'idle';
+        this.stableFrameCount = 0;
+
+        return new Promise((resolve, reject) => {
+            const calibration = { histograms: [], reject };
+            this.calibration = calibration;
+            calibration.timeoutId = setTimeout(() => {
+                const { histograms } = calibration;
+                this.calibration = null;
+                if (histograms.length === 0) {
+                    reject(new Error('No frames were received during calibration'));
+                    return;
+                }
+                resolve(this.proposeThresholds(histograms));
+            }, durationMs);
+        });
+    }
+
+    /**
+     * Thresholds that idle noise stays below
+     * @param {Array<Uint32Array>} histograms - Pixel difference histogram of each check
+     * @returns {Object} {changeThreshold, lowChangeThreshold, pixelDiffThreshold, noiseFloor, samples}
+     */
+    proposeThresholds(histograms) {
+        // Pixel threshold above 99.5% of small differences (grain, compression
+        // artifacts); moving objects differ by more and are left to the change thresholds
+        const MAX_PIXEL_NOISE = 32;
+        const combined = new Float64Array(MAX_PIXEL_NOISE + 1);
+        histograms.forEach(histogram => {
+            for (let diff = 0; diff <= MAX_PIXEL_NOISE; diff++) combined[diff] += histogram[diff];
+        });
+        const total = combined.reduce((sum, count) => sum + count, 0);
+        let cumulative = 0;
+        let noisyDiff = 0;
+        while (noisyDiff < MAX_PIXEL_NOISE && (cumulative += combined[noisyDiff]) < total * 0.995) {
+            noisyDiff++;
+        }
+        const pixelDiffThreshold = Math.min(MAX_PIXEL_NOISE, Math.max(this.defaults.pixelDiffThreshold, noisyDiff + 2));
+
+        // Share of pixels over that threshold in each check; the noise floor is the 95th percentile
+        const fractions = histograms.map(histogram => {
+            let changed = 0;
+            let pixels = 0;
+            histogram.forEach((count, diff) => {
+                pixels += count;
+                if (diff > pixelDiffThreshold) changed += count;
+            });
+            return changed / pixels;
+        }).sort((a, b) => a - b);
+        const noiseFloor = fractions[Math.min(fractions.length - 1, Math.floor(fractions.length * 0.95))];
+
+        const lowChangeThreshold = Math.max(this.defaults.lowChangeThreshold, noiseFloor * 1.5 + 0.002);
+        const changeThreshold = Math.max(this.defaults.changeThreshold, lowChangeThreshold * 1.5);
+        return {
+            changeThreshold: +changeThreshold.toFixed(4),
+            lowChangeThreshold: +lowChangeThreshold.toFixed(4),
+            pixelDiffThreshold: pixelDiffThreshold,
+            noiseFloor: noiseFloor,
+            samples: histograms.length
+        };
     }
 
     /**
@@ -221,7 +554,7 @@ class ChangeDetector {
      * @returns {boolean}
      */
     isRunning() {
-        return this.intervalId !== null;
+        return this.running;
     }
 
     /**
@@ -234,7 +567,35 @@ class ChangeDetector {
             state: this.state,
             stableFrameCount: this.stableFrameCount,
             lastChangePercent: (this.stats.lastChangePercent * 100).toFixed(2) + '%',
-            triggeredCount: this.stats.triggeredCount
+            triggeredCount: this.stats.triggeredCount,
+            calibrating: this.calibration !== null,
+            adaptive: this.adaptive,
+            noiseFloor: this.stats.noiseFloor,
+            thresholds: {
+                changeThreshold: this.changeThreshold,
+                lowChangeThreshold: this.lowChangeThreshold,
+                pixelDiffThreshold: this.pixelDiffThreshold
+            },
+            ...this.getTimingStats()
+        };
+    }
+
+    /**
+     * CPU time spent checking frames since monitoring started
+     * @returns {Object} {mode, fps, frameSkip, checksPerSecond, avgCheckMs, lastCheckMs, cpuPercent}
+     */
+    getTimingStats() {
+        const seconds = Math.max((performance.now() - this.stats.startTime) / 1000, 0.001);
+        const avgCheckMs = this.stats.checks > 0 ? this.stats.checkTime / this.stats.checks : 0;
+        return {
+            mode: this.mode,
+            fps: this.frameDuration ? Math.round(1000 / this.frameDuration) : null,
+            frameSkip: this.frameSkip,
+            checksPerSecond: +(this.stats.checks / seconds).toFixed(1),
+            avgCheckMs: +avgCheckMs.toFixed(2),
+            lastCheckMs: +this.stats.lastCheckTime.toFixed(2),
+            // Share of one core spent comparing frames
+            cpuPercent: +(this.stats.checkTime / seconds / 10).toFixed(2)
         };
     }
 }
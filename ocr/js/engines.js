@@ -0,0 +1,53 @@
+/**
+ * OCR Engine Registry
+ *
+ * Every recognizer the app can use implements the same interface:
+ *
+ *   id            {string}   Unique key, stored in settings
+ *   name          {string}   Label shown in the settings popup
+ *   init(options)            Promise<void>; safe to call again (re-applies options)
+ *   recognize(image, options) Promise<{text, lines, blocks, regionCount}>
+ *   isInitialized()          boolean
+ *   isSupported()            boolean (optional; engines without it are always available)
+ *   getCacheStats()          {hits, misses, hitRate, size, maxEntries} or a Promise of it
+ *                            (optional; engines that cache recognized regions)
+ *   clearRegionCache()       (optional, may return a Promise)
+ *
+ * `image` is anything MeikiOCR.recognize accepts (ImageBitmap, canvas, Blob, ...).
+ * `options.signal` is an optional AbortSignal; engines stop as soon as they
+ * can and reject with an AbortError (not wrapped in "OCR failed").
+ * `lines` is an array of {text, box, confidence, ...}; engines that can't
+ * report boxes or confidences set them to null. `blocks` is optional and
+ * groups lines as {type, orientation, box, lines (indices), text}.
+ */
+
+const OCREngines = {
+    DEFAULT_ID: 'meiki-worker',
+    engines: {},
+
+    // Add an engine to the registry
+    register(engine) {
+        for (const method of ['init', 'recognize', 'isInitialized']) {
+            if (typeof engine[method] !== 'function') {
+                throw new Error(`OCR engine "${engine.id}" is missing ${method}()`);
+            }
+        }
+        this.engines[engine.id] = engine;
+    },
+
+    // Look up an engine by id
+    get(id) {
+        return this.engines[id] || null;
+    },
+
+    // All engines usable in this browser
+    list() {
+        return Object.values(this.engines).filter(engine =>
+            typeof engine.isSupported !== 'function' || engine.isSupported()
+        );
+    }
+};
+
+OCREngines.register(MeikiOCRWorker);
+OCREngines.register(MeikiOCR);
+OCREngines.register(HttpOCR);
@@ -0,0 +1,317 @@
+/**
+ * HttpOCR - Local OCR Server Engine
+ *
+ * Sends frames to an OCR process running on this machine (for example a
+ * manga-ocr or owocr wrapper) and reads back the recognized text.
+ *
+ * Protocol
+ * --------
+ * HTTP(S) endpoint: each frame is POSTed as the raw request body with
+ * `Content-Type: image/png`. The server must allow CORS from this page.
+ *
+ * WebSocket endpoint (ws:// or wss://): each frame is sent as one binary
+ * PNG message; the server answers every frame with one text message.
+ * Frames are answered in the order they were sent.
+ *
+ * Response body (JSON), either field may be omitted but not both:
+ *   {
+ *     "text": "line one\nline two",
+ *     "lines": [
+ *       { "text": "line one", "box": [x1, y1, x2, y2], "confidence": 0.97 },
+ *       { "text": "line two" }
+ *     ]
+ *   }
+ * `box` is in pixels of the frame that was sent; `box` and `confidence`
+ * are optional. An `{"error": "message"}` response fails the request.
+ */
+
+const HttpOCR = (function() {
+    'use strict';
+
+    const DEFAULT_ENDPOINT = 'http://localhost:7331/ocr';
+
+    // ========================
+    // STATE
+    // ========================
+
+    let endpoint = DEFAULT_ENDPOINT;
+    let socket = null;
+    let socketOpening = null; // Promise of the connection being opened, shared by concurrent callers
+    let socketWaiters = []; // FIFO of {resolve, reject} awaiting a reply
+    let initialized = false;
+
+    // ========================
+    // HELPERS
+    // ========================
+
+    /**
+     * Validate an endpoint URL
+     * @param {string} url - Endpoint URL
+     * @returns {URL}
+     */
+    function parseEndpoint(url) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (error) {
+            throw new Error(`Invalid OCR endpoint: ${url}`);
+        }
+        if (!['http:', 'https:', 'ws:', 'wss:'].includes(parsed.protocol)) {
+            throw new Error(`Unsupported OCR endpoint protocol: ${parsed.protocol}`);
+        }
+        return parsed;
+    }
+
+    /**
+     * Check whether the configured endpoint is a WebSocket
+     * @returns {boolean}
+     */
+    function isWebSocket() {
+        return endpoint.startsWith('ws:') || endpoint.startsWith('wss:');
+    }
+
+    /**
+     * Encode any supported image source as a PNG Blob
+     * @param {string|Blob|ImageBitmap|ImageData|HTMLCanvasElement|OffscreenCanvas} image
+     * @returns {Promise<Blob>}
+     */
+    async function toPngBlob(image) {
+        if (image instanceof Blob) {
+            return image;
+        }
+        if (typeof image === 'string') {
+            return await (await fetch(image)).blob();
+        }
+
+        let canvas = image;
+        const isCanvas = (typeof HTMLCanvasElement !== 'undefined' && image instanceof HTMLCanvasElement) ||
+            (typeof OffscreenCanvas !== 'undefined' && image instanceof OffscreenCanvas);
+        if (!isCanvas) {
+            const width = image.videoWidth || image.naturalWidth || image.width;
+            const height = image.videoHeight || image.naturalHeight || image.height;
+            canvas = new OffscreenCanvas(width, height);
+            const ctx = canvas.getContext('2d');
+            if (image instanceof ImageData) {
+                ctx.putImageData(image, 0, 0);
+            } else {
+                ctx.drawImage(image, 0, 0, width, height);
+            }
+        }
+
+        if (typeof canvas.convertToBlob === 'function') {
+            return await canvas.convertToBlob({ type: 'image/png' });
+        }
+        return await new Promise((resolve) => canvas.toBlob(resolve, 'image/png'));
+    }
+
+    /**
+     * Convert a server response into the common OCR result shape
+     * @param {Object} data - Parsed JSON response
+     * @returns {Object} - {text, lines, regionCount}
+     */
+    function normalizeResponse(data) {
+        if (!data || typeof data !== 'object') {
+            throw new Error('OCR server returned an invalid response');
+        }
+        if (data.error) {
+            throw new Error(`OCR server error: ${data.error}`);
+        }
+
+        let lines;
+        if (Array.isArray(data.lines)) {
+            lines = data.lines
+                .filter(line => line && typeof line.text === 'string' && line.text)
+                .map(line => ({
+                    ...line,
+                    box: Array.isArray(line.box) && line.box.length === 4 ? line.box : null,
+                    confidence: typeof line.confidence === 'number' ? line.confidence : null
+                }));
+        } else if (typeof data.text === 'string') {
+            lines = data.text.split('\n')
+                .filter(text => text)
+                .map(text => ({ text, box: null, confidence: null }));
+        } else {
+            throw new Error('OCR server response has neither "text" nor "lines"');
+        }
+
+        return {
+            text: typeof data.text === 'string' ? data.text : lines.map(line => line.text).join('\n'),
+            lines: lines,
+            regionCount: lines.length
+        };
+    }
+
+    // ========================
+    // TRANSPORTS
+    // ========================
+
+    /**
+     * POST a frame to the HTTP endpoint
+     * @param {Blob} png - Encoded frame
+     * @param {AbortSignal|null} signal - Cancels the request
+     * @returns {Promise<Object>} - Parsed JSON response
+     */
+    async function postFrame(png, signal) {
+        const response = await fetch(endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'image/png' },
+            body: png,
+            signal: signal
+        });
+        if (!response.ok) {
+            throw new Error(`OCR server responded with ${response.status} ${response.statusText}`);
+        }
+        return await response.json();
+    }
+
+    /**
+     * Open the WebSocket connection if it isn't already open
+     * Callers arriving while it is still connecting wait for the same socket
+     * @returns {Promise<WebSocket>}
+     */
+    function openSocket() {
+        if (socket && socket.readyState === WebSocket.OPEN) {
+            return Promise.resolve(socket);
+        }
+        if (socket && socket.readyState === WebSocket.CONNECTING && socketOpening) {
+            return socketOpening;
+        }
+
+        const ws = new WebSocket(endpoint);
+        socket = ws;
+        socketOpening = new Promise((resolve, reject) => {
+            ws.addEventListener('open', () => {
+                if (socket === ws) socketOpening = null;
+                resolve(ws);
+            });
+
+            ws.addEventListener('message', (event) => {
+                const waiter = socketWaiters.shift();
+                if (!waiter) return;
+                try {
+                    waiter.resolve(JSON.parse(event.data));
+                } catch (error) {
+                    waiter.reject(new Error('OCR server sent invalid JSON'));
+                }
+            });
+
+            ws.addEventListener('close', () => {
+                if (socket === ws) {
+                    socket = null;
+                    socketOpening = null;
+                }
+                const error = new Error('OCR server connection closed');
+                socketWaiters.forEach(waiter => waiter.reject(error));
+                socketWaiters = [];
+                reject(error);
+            });
+        });
+        return socketOpening;
+    }
+
+    /**
+     * Send a frame over the WebSocket and wait for its reply
+     * An aborted frame stays queued so its reply is still matched up and
+     * discarded (a settled promise ignores the later resolve)
+     * @param {Blob} png - Encoded frame
+     * @param {AbortSignal|null} signal - Stops waiting for the reply
+     * @returns {Promise<Object>} - Parsed JSON response
+     */
+    async function sendFrame(png, signal) {
+        const ws = await openSocket();
+        return await new Promise((resolve, reject) => {
+            socketWaiters.push({ resolve, reject });
+            ws.send(png);
+            if (signal) {
+                signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+            }
+        });
+    }
+
+    /**
+     * Close the WebSocket connection, if any
+     */
+    function closeSocket() {
+        if (socket) {
+            socket.close();
+            socket = null;
+        }
+        socketOpening = null;
+    }
+
+    // ========================
+    // PUBLIC METHODS
+    // ========================
+
+    /**
+     * Configure the endpoint; for WebSockets the connection is opened here
+     * @param {Object} options - Configuration options
+     * @param {string} options.endpoint - Server URL (http://, https://, ws:// or wss://)
+     * @param {Function} options.onProgress - Progress callback (stage, message)
+     * @returns {Promise<void>}
+     */
+    async function init(options = {}) {
+        const { onProgress = null } = options;
+        const nextEndpoint = parseEndpoint(options.endpoint || DEFAULT_ENDPOINT).href;
+
+        if (nextEndpoint !== endpoint) {
+            closeSocket();
+            endpoint = nextEndpoint;
+        }
+
+        if (isWebSocket()) {
+            if (onProgress) onProgress('connect', `Connecting to ${endpoint}...`);
+            await openSocket();
+        }
+
+        initialized = true;
+        if (onProgress) onProgress('complete', `Using OCR server at ${endpoint}`);
+    }
+
+    /**
+     * Send an image to the OCR server
+     * @param {*} image - Any image source MeikiOCR.recognize accepts
+     * @param {Object} options - Options
+     * @param {AbortSignal} options.signal - Cancels the request (rejects with an AbortError)
+     * @param {Function} options.onProgress - Progress callback (stage, message)
+     * @returns {Promise<Object>} - OCR results with text and lines
+     */
+    async function recognize(image, options = {}) {
+        const { onProgress = null, signal = null } = options;
+
+        if (!initialized) {
+            throw new Error('HttpOCR not initialized. Call init() first.');
+        }
+
+        try {
+            const png = await toPngBlob(image);
+            if (signal) signal.throwIfAborted();
+
+            if (onProgress) onProgress('recognize', `Sending frame to ${endpoint}...`);
+            const data = isWebSocket() ? await sendFrame(png, signal) : await postFrame(png, signal);
+            const result = normalizeResponse(data);
+
+            if (onProgress) onProgress('complete', `Recognized ${result.lines.length} text line(s)`);
+            return result;
+
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            throw new Error(`OCR failed: ${error.message}`);
+        }
+    }
+
+    // ========================
+    // PUBLIC API
+    // ========================
+
+    return {
+        id: 'http',
+        name: 'Local OCR server (HTTP/WebSocket)',
+        DEFAULT_ENDPOINT: DEFAULT_ENDPOINT,
+        init: init,
+        recognize: recognize,
+        isInitialized: () => initialized,
+        getEndpoint: () => endpoint
+    };
+
+})();
@@ -0,0 +1,267 @@
+// HUD Filter Module
+// Keeps persistent on-screen text (menu buttons, clocks, chapter titles) out
+// of captured lines. Regions that keep the same text and position while the
+// rest of the screen changes are learned automatically, and regions can be
+// marked by hand from the debug overlay. A learned region only hides lines
+// that still show the text it was learned from, so a name plate or dialogue
+// box that repeats itself for a while isn't ignored for good; a region marked
+// by hand hides whatever is in it. The ignore-list is stored per game
+// profile, with boxes relative to the frame size.
+// Region: {box, text, source: 'learned' | 'manual'}
+const HudFilter = {
+    LEARN_TRIGGERS: 6,  // text changes elsewhere a region must sit through unchanged
+    SAME_IOU: 0.9,      // overlap that counts as the same position while learning
+    MATCH_IOU: 0.6,     // overlap with an ignored region that hides a line
+    candidates: [],     // {box, text, count} seen on the last trigger
+
+    getRegions() {
+        return Profiles.get('ignoreRegions');
+    },
+
+    saveRegions(regions) {
+        Profiles.set('ignoreRegions', regions);
+    },
+
+    // Box in pixels -> box as fractions of the frame size
+    normalizeBox(box, size) {
+        return [box[0] / size.width, box[1] / size.height, box[2] / size.width, box[3] / size.height];
+    },
+
+    // Intersection over union of two boxes
+    iou(a, b) {
+        const width = Math.min(a[2], b[2]) - Math.max(a[0], b[0]);
+        const height = Math.min(a[3], b[3]) - Math.max(a[1], b[1]);
+        if (width <= 0 || height <= 0) return 0;
+
+        const intersection = width * height;
+        const area = (box) => (box[2] - box[0]) * (box[3] - box[1]);
+        return intersection / (area(a) + area(b) - intersection);
+    },
+
+    // Whether an ignored region hides a line with this normalized box and text
+    matchesRegion(region, box, text) {
+        if (this.iou(region.box, box) < this.MATCH_IOU) return false;
+        return region.source !== 'learned' || region.text === text;
+    },
+
+    // Index of the ignored region hiding a line, or -1
+    findRegion(box, text, regions = this.getRegions()) {
+        return regions.findIndex(region => this.matchesRegion(region, box, text));
+    },
+
+    // Split OCR lines into kept and ignored; lines without a box are always kept
+    filter(lines, size) {
+        const regions = this.getRegions();
+        const kept = [];
+        const ignored = [];
+        for (const line of lines) {
+            if (line.box && this.findRegion(this.normalizeBox(line.box, size), line.text, regions) !== -1) {
+                ignored.push(line);
+            } else {
+                kept.push(line);
+            }
+        }
+        return { kept, ignored };
+    },
+
+    // Count how long each line has stayed put; regions that outlast
+    // LEARN_TRIGGERS changes elsewhere on screen are added to the ignore-list
+    // together with their text. Triggers where no text changed (e.g. animated
+    // backgrounds) don't count. Pass only lines from the whole capture, not
+    // from named capture regions, which are known to hold wanted text.
+    learn(lines, size) {
+        if (!Profiles.get('learnStaticRegions')) {
+            this.candidates = [];
+            return;
+        }
+
+        const next = [];
+        for (const line of lines) {
+            if (!line.box) continue;
+            const box = this.normalizeBox(line.box, size);
+            const previous = this.candidates.find(c => c.text === line.text && this.iou(c.box, box) >= this.SAME_IOU);
+            next.push({ box, text: line.text, count: previous ? previous.count : 0, isNew: !previous });
+        }
+
+        const changed = next.some(c => c.isNew) || next.length !== this.candidates.length;
+        this.candidates = next.map(({ box, text, count, isNew }) => ({
+            box,
+            text,
+            count: changed && !isNew ? count + 1 : count
+        }));
+
+        const learned = this.candidates.filter(c => c.count >= this.LEARN_TRIGGERS);
+        if (learned.length === 0) return;
+
+        learned.forEach(c => {
+            console.log(`Ignoring static text region: ${c.text}`);
+            this.addRegion(c.box, c.text, 'learned');
+        });
+        this.candidates = this.candidates.filter(c => !learned.includes(c));
+    },
+
+    // Add a normalized box to the ignore-list
+    addRegion(box, text, source) {
+        const regions = this.getRegions();
+        if (this.findRegion(box, text, regions) !== -1) return;
+        regions.push({ box, text, source });
+        this.saveRegions(regions);
+    },
+
+    removeRegion(index) {
+        const regions = this.getRegions();
+        regions.splice(index, 1);
+        this.saveRegions(regions);
+    },
+
+    clear() {
+        this.saveRegions([]);
+        this.candidates = [];
+    },
+
+    // Forget learning progress (e.g. after switching profile)
+    resetLearning() {
+        this.candidates = [];
+    },
+
+    // Show a frame with its detected lines; clicking a box toggles whether it is ignored
+    showOverlay(frameCanvas, lines) {
+        const size = { width: frameCanvas.width, height: frameCanvas.height };
+
+        let settings = { accentColor: '#2b2b2b', foregroundColor: '#ffffff', backgroundColor: '#000000' };
+        let borderColor = '#555';
+        let controlBackgroundColor = '#444';
+        if (window.Settings) {
+            settings = window.Settings.getSettings();
+            borderColor = window.Settings.getTintedBorderColor(settings.backgroundColor);
+            controlBackgroundColor = window.Settings.getTintedBorderColor(settings.accentColor);
+        }
+
+        const overlay = document.createElement('div');
+        overlay.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            width: 100%;
+            height: 100%;
+            background: rgba(0, 0, 0, 0.9);
+            z-index: 999999;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            padding: 20px;
+            box-sizing: border-box;
+        `;
+
+        const container = document.createElement('div');
+        container.style.cssText = `
+            background: ${settings.accentColor};
+            border: 1px solid ${borderColor};
+            border-radius: 12px;
+            padding: 20px;
+            max-width: 90vw;
+            max-height: 90vh;
+            display: flex;
+            flex-direction: column;
+            gap: 15px;
+            box-sizing: border-box;
+            color: ${settings.foregroundColor};
+            font-family: Arial, sans-serif;
+            font-size: 14px;
+        `;
+
+        const title = document.createElement('h2');
+        title.textContent = 'Detected Text Regions';
+        title.style.cssText = 'margin: 0; font-size: 20px; text-align: center;';
+
+        const help = document.createElement('div');
+        help.textContent = 'Click a box to ignore it (red) or include it again (green). Dashed boxes are ignored regions not on screen right now.';
+        help.style.cssText = 'text-align: center;';
+
+        const canvas = document.createElement('canvas');
+        canvas.width = size.width;
+        canvas.height = size.height;
+        canvas.style.cssText = `
+            display: block;
+            max-width: 100%;
+            max-height: 60vh;
+            min-height: 0;
+            object-fit: contain;
+            border: 1px solid ${borderColor};
+            cursor: pointer;
+        `;
+        const ctx = canvas.getContext('2d');
+
+        const toPixels = (box) => [box[0] * size.width, box[1] * size.height, box[2] * size.width, box[3] * size.height];
+        const boxedLines = lines.filter(line => line.box);
+
+        const render = () => {
+            const regions = this.getRegions();
+            ctx.drawImage(frameCanvas, 0, 0);
+            ctx.lineWidth = Math.max(2, Math.round(size.width / 400));
+
+            // Ignored regions with nothing detected in them right now
+            ctx.setLineDash([8, 6]);
+            ctx.strokeStyle = '#e01b24';
+            regions.forEach(region => {
+                const onScreen = boxedLines.some(line => this.matchesRegion(region, this.normalizeBox(line.box, size), line.text));
+                if (onScreen) return;
+                const [x1, y1, x2, y2] = toPixels(region.box);
+                ctx.strokeRect(x1, y1, x2 - x1, y2 - y1);
+            });
+
+            ctx.setLineDash([]);
+            boxedLines.forEach(line => {
+                const ignored = this.findRegion(this.normalizeBox(line.box, size), line.text, regions) !== -1;
+                const [x1, y1, x2, y2] = line.box;
+                ctx.strokeStyle = ignored ? '#e01b24' : '#2ec27e';
+                ctx.strokeRect(x1, y1, x2 - x1, y2 - y1);
+            });
+        };
+
+        canvas.addEventListener('click', (event) => {
+            const rect = canvas.getBoundingClientRect();
+            const x = (event.clientX - rect.left) * (size.width / rect.width);
+            const y = (event.clientY - rect.top) * (size.height / rect.height);
+            const inside = (box) => x >= box[0] && x <= box[2] && y >= box[1] && y <= box[3];
+
+            const line = boxedLines.find(l => inside(l.box));
+            if (line) {
+                const box = this.normalizeBox(line.box, size);
+                const index = this.findRegion(box, line.text);
+                if (index !== -1) {
+                    this.removeRegion(index);
+                } else {
+                    this.addRegion(box, line.text, 'manual');
+                }
+            } else {
+                const index = this.getRegions().findIndex(region => inside(toPixels(region.box)));
+                if (index !== -1) this.removeRegion(index);
+            }
+            render();
+        });
+
+        const closeButton = document.createElement('button');
+        closeButton.textContent = 'Close';
+        closeButton.style.cssText = `
+            padding: 12px 24px;
+            background: ${controlBackgroundColor};
+            color: ${settings.foregroundColor};
+            border: 1px solid ${borderColor};
+            border-radius: 4px;
+            font-size: 16px;
+            cursor: pointer;
+            align-self: center;
+        `;
+        closeButton.addEventListener('click', () => overlay.remove());
+
+        container.appendChild(title);
+        container.appendChild(help);
+        container.appendChild(canvas);
+        container.appendChild(closeButton);
+        overlay.appendChild(container);
+        document.body.appendChild(overlay);
+
+        render();
+    }
+};
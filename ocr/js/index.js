@@ -1,44 +1,51 @@
 // OCR Artifact Filtering
 const recentLines = []; // Rolling buffer for duplicate detection
 const MAX_RECENT_LINES = 10;
+const REVEAL_WINDOW_MS = 3000; // a line added longer ago than this is finished, not still being revealed
+let lastLineTime = 0;
 
-function filterOCRLine(text) {
-    // Trim all ASCII characters from the start and end of the string
-    let filtered = text.replace(/^[\x00-\x7F]+|[\x00-\x7F]+$/g, '');
-
-    filtered = filtered.replaceAll("」」", "」");
-    filtered = filtered.replaceAll("「「", "「");
-    filtered = filtered.replaceAll("(", "（");
-    filtered = filtered.replaceAll(")", "）");
-
-    // Fix incomplete quotations
-    let hasOpen = filtered.includes('「');
-    let hasClose = filtered.includes('」');
-    if (hasOpen && !hasClose) {
-        filtered = filtered + '」';
-    } else if (!hasOpen && hasClose) {
-        filtered = '「' + filtered;
-    }
-
-    hasOpen = filtered.includes('（');
-    hasClose = filtered.includes('）');
-    if (hasOpen && !hasClose) {
-        filtered = filtered + '）';
-    } else if (!hasOpen && hasClose) {
-        filtered = '（' + filtered;
-    }
-
-    // Replace common mismatches
-    filtered = filtered.replaceAll("―", "ー");
+// Cleanup rules from settings (see rules.js), then learned misread fixes,
+// applied to each row of multi-line text. Returns null if nothing is left.
+function cleanOCRLine(text) {
+    const rows = text.split('\n')
+        .map(row => TextRules.apply(row))
+        .filter(Boolean)
+        .map(row => Corrections.apply(row).trim())
+        .filter(Boolean);
+    return rows.join('\n') || null;
+}
 
-    // Final validation
-    filtered = filtered.trim();
+// Returns {text, replaces} where `replaces` is the earlier text of the last
+// line when the new text should replace it, or null if the line is dropped
+function filterOCRLine(text) {
+    const filtered = cleanOCRLine(text);
     if (!filtered) {
         return null;
     }
 
-    // Don't send the line if its the same as the previous line
-    if(recentLines.at(recentLines.length) == filtered) {
+    // A line still being revealed (or re-read with small differences)
+    // replaces the last line instead of being added after it. Only a line
+    // added moments ago can still be revealing; after that a line that starts
+    // the same way (「はい」 then 「はい、そうです」) is a new line.
+    const now = Date.now();
+    const last = recentLines.at(-1);
+    if (last !== undefined && now - lastLineTime <= REVEAL_WINDOW_MS) {
+        if (filtered === last || TextMatch.isPrefixOf(filtered, last)) {
+            return null;
+        }
+        if (TextMatch.extends(last, filtered) || TextMatch.isSimilar(last, filtered)) {
+            // Keep the longer read of a similar line (the first one if they're as long)
+            if (filtered.length <= last.length) {
+                return null;
+            }
+            recentLines[recentLines.length - 1] = filtered;
+            lastLineTime = now;
+            return { text: filtered, replaces: last };
+        }
+    }
+
+    // Don't send the line again if it was read recently
+    if (recentLines.some(line => TextMatch.isSimilar(line, filtered))) {
         return null;
     }
 
@@ -47,8 +54,25 @@ function filterOCRLine(text) {
     if (recentLines.length > MAX_RECENT_LINES) {
         recentLines.shift();
     }
+    lastLineTime = now;
 
-    return filtered;
+    return { text: filtered, replaces: null };
+}
+
+// Capture region whose text labels the line instead of being added to it
+const SPEAKER_REGION = 'speaker';
+
+// Tidy an OCR'd speaker name: no ASCII noise or name-box brackets at the edges
+function cleanSpeakerName(text) {
+    const name = text.replace(/^[\x00-\x7F【［]+|[\x00-\x7F】］：]+$/g, '').trim();
+    return name || null;
+}
+
+// Cache the app shell and runtime for offline use
+if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.register('sw.js').catch(error => {
+        console.warn('Service worker registration failed:', error);
+    });
 }
 
 // Initialize when DOM is ready
@@ -56,21 +80,28 @@ document.addEventListener('DOMContentLoaded', () => {
     // Make modules globally accessible
     window.Icons = Icons;
     window.Settings = Settings;
+    window.Profiles = Profiles;
     window.TextHookDisplay = TextHookDisplay;
+    window.Corrections = Corrections;
     window.Timer = Timer;
 
     Icons.init();
     Settings.init();
     TextHookDisplay.init();
     Timer.init();
+    ReviewTray.init();
 
     // Initialize capture, OCR, and detection modules
     const windowCapture = new WindowCapture();
     const changeDetector = new ChangeDetector();
-    let ocrInitialized = false;
     let isProcessing = false;
+    let ocrRequested = false; // A newer trigger arrived while OCR was running
+    let ocrController = null; // Cancels the in-flight OCR call
+    let ocrWorkerFailed = false;
 
     window.WindowCapture = windowCapture;
+    window.ChangeDetector = changeDetector;
+    Settings.applyDetectionSettings();
 
     // Connection icon button - Capture and OCR
     const connectionIcon = document.getElementById('connectionIcon');
@@ -86,70 +117,267 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
 
+    // Get the OCR engine selected in settings, initializing it if needed
+    async function ensureOcrEngine() {
+        const options = Settings.getOcrOptions();
+        let engine = OCREngines.get(options.engine) || OCREngines.get(OCREngines.DEFAULT_ID);
+
+        // The worker engine isn't available everywhere; MeikiOCR runs the same pipeline inline
+        if ((typeof engine.isSupported === 'function' && !engine.isSupported()) ||
+            (engine === MeikiOCRWorker && ocrWorkerFailed)) {
+            engine = MeikiOCR;
+        }
+
+        if (engine.isInitialized() && engine !== HttpOCR) {
+            return engine;
+        }
+
+        console.log(`Initializing OCR engine: ${engine.name}`);
+        const initOptions = {
+            ...options,
+            useLocal: true,
+            onProgress: (stage, message) => {
+                console.log(`[${stage}] ${message}`);
+            }
+        };
+
+        try {
+            await engine.init(initOptions);
+        } catch (error) {
+            if (engine !== MeikiOCRWorker) throw error;
+            console.warn('OCR worker failed to start, running MeikiOCR on the main thread:', error);
+            MeikiOCRWorker.terminate();
+            ocrWorkerFailed = true;
+            engine = MeikiOCR;
+            await engine.init(initOptions);
+        }
+
+        return engine;
+    }
+
     // Shared OCR function (can be called manually or by change detector)
+    // A trigger during OCR makes the in-flight frame stale: it is cancelled
+    // and OCR runs again on the newest frame, so the final line is never dropped
     async function performOCR() {
-        if (isProcessing) {
-            console.log('Already processing OCR, skipping...');
+        if (!windowCapture.isInitialized()) {
+            console.log('Window capture not initialized');
             return;
         }
 
-        if (!windowCapture.isInitialized()) {
-            console.log('Window capture not initialized');
+        if (isProcessing) {
+            console.log('Newer frame available, cancelling in-flight OCR...');
+            ocrRequested = true;
+            if (ocrController) ocrController.abort();
             return;
         }
 
         try {
             isProcessing = true;
+            do {
+                ocrRequested = false;
+                await recognizeLatestFrame();
+            } while (ocrRequested);
+        } finally {
+            isProcessing = false;
+        }
+    }
+
+    // OCR a captured frame, or each named capture region of it separately
+    // Returns [{name, lines, blocks}] (name is null without regions) with line boxes in frame coordinates;
+    // blocks is null if the engine doesn't group lines
+    async function recognizeFrame(frame, signal) {
+        const ocrEngine = await ensureOcrEngine();
+        const ocrOptions = Settings.getOcrOptions();
+        const recognizeOptions = {
+            thresholds: ocrOptions.thresholds,
+            preprocess: ocrOptions.preprocess,
+            signal: signal,
+            onProgress: (stage, message) => {
+                console.log(`[${stage}] ${message}`);
+            }
+        };
+
+        const regions = Profiles.get('captureRegions');
+        if (regions.length === 0) {
+            const result = await ocrEngine.recognize(frame, recognizeOptions);
+            return [{ name: null, lines: result.lines, blocks: result.blocks || null }];
+        }
+
+        const parts = await windowCapture.splitFrame(frame, regions);
+        try {
+            const results = [];
+            for (const part of parts) {
+                const result = await ocrEngine.recognize(part.bitmap, recognizeOptions);
+
+                // Boxes come back relative to the region; move every one of them into the frame
+                const offset = (box) => box && [box[0] + part.x, box[1] + part.y, box[2] + part.x, box[3] + part.y];
+                results.push({
+                    name: part.name,
+                    lines: result.lines.map(line => ({
+                        ...line,
+                        box: offset(line.box),
+                        ...(line.chars && { chars: line.chars.map(c => ({ ...c, box: offset(c.box) })) }),
+                        ...(line.ruby && { ruby: line.ruby.map(r => ({ ...r, box: offset(r.box) })) })
+                    })),
+                    blocks: result.blocks ? result.blocks.map(block => ({ ...block, box: offset(block.box) })) : null
+                });
+            }
+            return results;
+        } finally {
+            // No-op for bitmaps transferred to the OCR worker
+            parts.forEach(part => part.bitmap.close());
+        }
+    }
+
+    // Capture the current frame, OCR it and add the result to the display
+    async function recognizeLatestFrame() {
+        const controller = new AbortController();
+        let frame = null;
 
-            // Capture screenshot
-            const screenshotDataUrl = await windowCapture.captureWindowScreenshot();
+        try {
+            ocrController = controller;
+
+            // Capture the cropped frame as a bitmap (no PNG round trip)
+            frame = await windowCapture.captureWindowFrame();
+            const frameSize = { width: frame.width, height: frame.height };
+
+            // Low-confidence lines are shown for review with their crop, so keep a
+            // copy of the frame (OCR may transfer the bitmap to the worker)
+            const minConfidence = Settings.getSettings().minLineConfidence;
+            let frameCanvas = null;
+            if (minConfidence > 0) {
+                frameCanvas = document.createElement('canvas');
+                frameCanvas.width = frame.width;
+                frameCanvas.height = frame.height;
+                frameCanvas.getContext('2d').drawImage(frame, 0, 0);
+            }
 
             // Perform OCR
-            const result = await MeikiOCR.recognize(screenshotDataUrl, {
-                onProgress: (stage, message) => {
-                    console.log(`[${stage}] ${message}`);
+            const parts = await recognizeFrame(frame, controller.signal);
+
+            // Superseded while finishing up; the newer frame's result replaces it
+            if (controller.signal.aborted) {
+                return;
+            }
+
+            // Drop static HUD text, then learn from what is left. Named capture
+            // regions (e.g. the speaker) are meant to be read, so they don't teach it.
+            const { kept, ignored } = HudFilter.filter(parts.flatMap(part => part.lines), frameSize);
+            if (ignored.length > 0) {
+                console.log(`Ignored ${ignored.length} HUD line(s):`, ignored.map(line => line.text));
+            }
+            const unnamedLines = parts.filter(part => !part.name).flatMap(part => part.lines);
+            HudFilter.learn(kept.filter(line => unnamedLines.includes(line)), frameSize);
+
+            // The "speaker" region labels the line from the first region with text
+            const speakerPart = parts.find(part => part.name === SPEAKER_REGION);
+
+            // Lines read with low confidence (transitions, background art) go to the
+            // review tray instead of the display, each on its own
+            const uncertain = minConfidence > 0
+                ? parts
+                    .filter(part => part !== speakerPart)
+                    .flatMap(part => part.lines)
+                    .filter(line => kept.includes(line) && typeof line.confidence === 'number' && line.confidence < minConfidence)
+                : [];
+            const shown = kept.filter(line => !uncertain.includes(line));
+
+            // Text of each region in the profile's output mode: all lines joined into one,
+            // one row per line, or one row per block (per line if the engine has no blocks)
+            const outputMode = Profiles.get('outputMode');
+            const regionText = (part, mode = outputMode) => {
+                let groups;
+                if (mode === 'join') {
+                    groups = [part.lines];
+                } else if (mode === 'blocks' && part.blocks) {
+                    groups = part.blocks.map(block => block.lines.map(i => part.lines[i]));
+                } else {
+                    groups = part.lines.map(line => [line]);
                 }
-            });
+                return groups
+                    .map(group => group.filter(line => shown.includes(line)).map(line => line.text).join('').trim())
+                    .filter(Boolean)
+                    .join('\n');
+            };
+
+            let speaker = speakerPart ? cleanSpeakerName(regionText(speakerPart, 'join')) : null;
 
-            // Add recognized text to display
-            if (result.text) {
-                console.log('OCR Result:', result.text);
-                // Join all lines into a single string (remove line breaks)
-                const singleLine = result.text.replace(/\n/g, '').trim();
+            // Queue each uncertain line once: not while it is in the tray or
+            // was recently queued, and not if it has already been shown
+            for (const line of uncertain) {
+                const cleaned = cleanOCRLine(line.text);
+                if (!cleaned || ReviewTray.isKnown(cleaned) || TextHookDisplay.findRepeat(cleaned, false)) continue;
+
+                console.log(`Low confidence (${line.confidence.toFixed(2)}), queued for review:`, cleaned);
+                ReviewTray.add({
+                    text: cleaned,
+                    speaker,
+                    confidence: line.confidence,
+                    image: line.box && ReviewTray.cropImage(frameCanvas, line.box)
+                });
+            }
+
+            let recognized = uncertain.length > 0;
+            for (const part of parts) {
+                if (part === speakerPart) continue;
+
+                const text = regionText(part);
+                if (!text) continue;
+                recognized = true;
+                console.log(part.name ? `OCR Result (${part.name}):` : 'OCR Result:', text);
 
                 // Apply filtering chain
-                const filtered = filterOCRLine(singleLine);
+                const filtered = filterOCRLine(text);
+                if (!filtered) {
+                    console.log('Line filtered out');
+                    continue;
+                }
 
-                if (filtered) {
-                    TextHookDisplay.addLine(filtered);
+                // Lines already read this session (backlog, replayed scenes)
+                const repeatOf = TextHookDisplay.findRepeat(filtered.text, !!filtered.replaces);
+                const repeatMode = Settings.getSettings().repeatedLines;
+                if (repeatOf && repeatMode === 'drop') {
+                    console.log('Line already read this session:', repeatOf);
+                    continue;
+                }
+
+                const repeat = !!repeatOf && repeatMode === 'dim';
+                const line = speaker || repeat ? { speaker, text: filtered.text, repeat } : filtered.text;
+                if (filtered.replaces) {
+                    TextHookDisplay.replaceLastLine(filtered.replaces, line);
                 } else {
-                    console.log('Line filtered out');
+                    TextHookDisplay.addLine(line);
                 }
-            } else {
+                speaker = null;
+            }
+
+            if (!recognized) {
                 console.log('No text recognized');
             }
 
         } catch (error) {
-            console.error('Error during OCR:', error);
+            if (error.name === 'AbortError') {
+                console.log('Stale OCR cancelled');
+            } else {
+                console.error('Error during OCR:', error);
+            }
         } finally {
-            isProcessing = false;
+            // No-op if the bitmap was transferred to the OCR worker
+            if (frame) frame.close();
+            ocrController = null;
         }
     }
 
+    // The detector holds the old crop settings object and watch region, so restart it
+    // whenever the crop dialog is confirmed (the edit button, or a window resize)
+    windowCapture.onCropChange = (cropSettings) => {
+        changeDetector.start(windowCapture.captureVideo, cropSettings, performOCR, Profiles.get('watchRegion'));
+    };
+
     connectionIcon.addEventListener('click', async () => {
         try {
-            // Initialize OCR models on first use
-            if (!ocrInitialized) {
-                console.log('Initializing MeikiOCR models...');
-                await MeikiOCR.init({
-                    useLocal: true,
-                    onProgress: (stage, message) => {
-                        console.log(`[${stage}] ${message}`);
-                    }
-                });
-                ocrInitialized = true;
-                console.log('MeikiOCR initialized successfully');
-            }
+            // Initialize the OCR engine on first use
+            await ensureOcrEngine();
 
             // If not yet initialized, set up window capture
             if (!windowCapture.isInitialized()) {
@@ -165,7 +393,8 @@ document.addEventListener('DOMContentLoaded', () => {
                 changeDetector.start(
                     windowCapture.captureVideo,
                     windowCapture.cropSettings,
-                    performOCR
+                    performOCR,
+                    Profiles.get('watchRegion')
                 );
             } else {
                 // Already initialized, just perform a manual OCR
@@ -182,6 +411,51 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     });
 
+    // Re-open the crop dialog to change the capture area and named regions
+    document.getElementById('editCaptureButton').addEventListener('click', async () => {
+        if (!windowCapture.isInitialized()) {
+            alert('Connect to a window first.');
+            return;
+        }
+
+        Settings.hide();
+        await windowCapture.adjustCrop();
+    });
+
+    // Show the current frame's detected regions so HUD text can be ignored by hand
+    document.getElementById('showRegionsButton').addEventListener('click', async () => {
+        if (!windowCapture.isInitialized()) {
+            alert('Connect to a window first.');
+            return;
+        }
+
+        let frame = null;
+        try {
+            frame = await windowCapture.captureWindowFrame();
+
+            // Draw the frame before OCR, which may transfer the bitmap to the worker
+            const frameCanvas = document.createElement('canvas');
+            frameCanvas.width = frame.width;
+            frameCanvas.height = frame.height;
+            frameCanvas.getContext('2d').drawImage(frame, 0, 0);
+
+            const ocrEngine = await ensureOcrEngine();
+            const ocrOptions = Settings.getOcrOptions();
+            const result = await ocrEngine.recognize(frame, {
+                thresholds: ocrOptions.thresholds,
+                preprocess: ocrOptions.preprocess
+            });
+
+            Settings.hide();
+            HudFilter.showOverlay(frameCanvas, result.lines);
+        } catch (error) {
+            console.error('Error showing detected regions:', error);
+            alert(`Error: ${error.message}`);
+        } finally {
+            if (frame) frame.close();
+        }
+    });
+
     // Delete last line button
     const deleteLastButton = document.getElementById('deleteLastButton');
     deleteLastButton.addEventListener('click', () => {
@@ -0,0 +1,257 @@
+/**
+ * OCR Layout Analysis
+ *
+ * Groups detected text boxes into blocks and puts them in reading order:
+ * 1. Paragraphs: lines stacked closely with aligned starting edges
+ * 2. Columns: the same for vertical text (right to left)
+ * 3. Menus: centre-aligned horizontal lines with looser spacing (choices)
+ *
+ * Blocks are then arranged in rows: blocks that sit side by side (a name
+ * box beside dialogue, two text columns) share a row and read left to
+ * right, or right to left for vertical text; rows read top to bottom.
+ */
+
+const OCRLayout = (function() {
+    'use strict';
+
+    // ========================
+    // CONSTANTS
+    // ========================
+
+    const LAYOUT = {
+        THICKNESS_RATIO: 1.5,   // max size ratio between lines of one block
+        PARAGRAPH_GAP: 1.0,     // max gap between paragraph lines, relative to line thickness
+        ALIGN_TOLERANCE: 1.5,   // max offset of paragraph line starts (allows indented 「)
+        MENU_GAP: 3.0,          // max gap between menu items, relative to line thickness
+        MENU_CENTRE: 0.5,       // max offset of menu item centres, relative to line thickness
+        ROW_OVERLAP: 0.5        // fraction of a block's height that must overlap a row to join it
+    };
+
+    // ========================
+    // GEOMETRY
+    // ========================
+
+    /**
+     * Line thickness across the reading direction
+     * @param {Object} region - {box, orientation}
+     * @returns {number}
+     */
+    function thickness(region) {
+        const [x1, y1, x2, y2] = region.box;
+        return region.orientation === 'vertical' ? x2 - x1 : y2 - y1;
+    }
+
+    /**
+     * Check that two lines are similar enough in size to belong together
+     * @param {Object} a - Region
+     * @param {Object} b - Region
+     * @returns {boolean}
+     */
+    function similarThickness(a, b) {
+        const ta = thickness(a);
+        const tb = thickness(b);
+        return Math.max(ta, tb) <= Math.min(ta, tb) * LAYOUT.THICKNESS_RATIO;
+    }
+
+    /**
+     * Check whether two lines are consecutive lines of one paragraph (or column)
+     * @param {Object} a - Region
+     * @param {Object} b - Region
+     * @returns {boolean}
+     */
+    function isParagraphLink(a, b) {
+        if (a.orientation !== b.orientation || !similarThickness(a, b)) return false;
+
+        const size = (thickness(a) + thickness(b)) / 2;
+        const [ax1, ay1, ax2, ay2] = a.box;
+        const [bx1, by1, bx2, by2] = b.box;
+
+        if (a.orientation === 'vertical') {
+            const gap = Math.max(bx1 - ax2, ax1 - bx2);
+            return gap <= size * LAYOUT.PARAGRAPH_GAP &&
+                Math.abs(ay1 - by1) <= size * LAYOUT.ALIGN_TOLERANCE;
+        }
+
+        const gap = Math.max(by1 - ay2, ay1 - by2);
+        return gap <= size * LAYOUT.PARAGRAPH_GAP &&
+            Math.abs(ax1 - bx1) <= size * LAYOUT.ALIGN_TOLERANCE;
+    }
+
+    /**
+     * Check whether two horizontal lines look like neighbouring menu items
+     * @param {Object} a - Region
+     * @param {Object} b - Region
+     * @returns {boolean}
+     */
+    function isMenuLink(a, b) {
+        if (a.orientation !== 'horizontal' || b.orientation !== 'horizontal') return false;
+        if (!similarThickness(a, b)) return false;
+
+        const size = (thickness(a) + thickness(b)) / 2;
+        const [ax1, ay1, ax2, ay2] = a.box;
+        const [bx1, by1, bx2, by2] = b.box;
+        const gap = Math.max(by1 - ay2, ay1 - by2);
+
+        return gap >= 0 && gap <= size * LAYOUT.MENU_GAP &&
+            Math.abs((ax1 + ax2) / 2 - (bx1 + bx2) / 2) <= size * LAYOUT.MENU_CENTRE;
+    }
+
+    /**
+     * Smallest box containing all the given boxes
+     * @param {Array} boxes - Array of [x1, y1, x2, y2]
+     * @returns {Array}
+     */
+    function unionBox(boxes) {
+        return [
+            Math.min(...boxes.map(b => b[0])),
+            Math.min(...boxes.map(b => b[1])),
+            Math.max(...boxes.map(b => b[2])),
+            Math.max(...boxes.map(b => b[3]))
+        ];
+    }
+
+    // ========================
+    // GROUPING
+    // ========================
+
+    /**
+     * Union-find grouping of items by a pairwise link test
+     * @param {Array} items - Items to group
+     * @param {Function} linked - (a, b) => boolean
+     * @returns {Array} - Array of groups, each an array of indices into items
+     */
+    function groupBy(items, linked) {
+        const parent = items.map((_, i) => i);
+        const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+
+        for (let i = 0; i < items.length; i++) {
+            for (let j = i + 1; j < items.length; j++) {
+                if (linked(items[i], items[j])) {
+                    parent[find(i)] = find(j);
+                }
+            }
+        }
+
+        const groups = new Map();
+        items.forEach((_, i) => {
+            const root = find(i);
+            if (!groups.has(root)) groups.set(root, []);
+            groups.get(root).push(i);
+        });
+        return Array.from(groups.values());
+    }
+
+    /**
+     * Sort the members of a block into reading order
+     * @param {Array} regions - All regions
+     * @param {Array} members - Indices of the block's regions
+     * @param {string} orientation - Block orientation
+     * @returns {Array} - Sorted indices
+     */
+    function sortMembers(regions, members, orientation) {
+        return members.slice().sort((a, b) => orientation === 'vertical'
+            ? regions[b].box[2] - regions[a].box[2]
+            : regions[a].box[1] - regions[b].box[1]);
+    }
+
+    /**
+     * Arrange blocks into reading order
+     * Blocks that overlap vertically share a row; rows read top to bottom and
+     * blocks within a row read left to right (right to left if all vertical)
+     * @param {Array} blocks - Blocks with box and orientation
+     * @returns {Array} - Blocks in reading order
+     */
+    function orderBlocks(blocks) {
+        const sorted = blocks.slice().sort((a, b) => a.box[1] - b.box[1]);
+        const rows = [];
+
+        for (const block of sorted) {
+            const height = block.box[3] - block.box[1];
+            const row = rows.find(r => {
+                const overlap = Math.min(r.bottom, block.box[3]) - Math.max(r.top, block.box[1]);
+                return overlap >= Math.max(1, height * LAYOUT.ROW_OVERLAP);
+            });
+
+            if (row) {
+                row.blocks.push(block);
+                row.top = Math.min(row.top, block.box[1]);
+                row.bottom = Math.max(row.bottom, block.box[3]);
+            } else {
+                rows.push({ top: block.box[1], bottom: block.box[3], blocks: [block] });
+            }
+        }
+
+        rows.sort((a, b) => a.top - b.top);
+
+        const ordered = [];
+        for (const row of rows) {
+            const rightToLeft = row.blocks.every(b => b.orientation === 'vertical');
+            row.blocks.sort((a, b) => rightToLeft ? b.box[2] - a.box[2] : a.box[0] - b.box[0]);
+            ordered.push(...row.blocks);
+        }
+        return ordered;
+    }
+
+    // ========================
+    // PUBLIC METHODS
+    // ========================
+
+    /**
+     * Group regions into blocks and determine reading order
+     * @param {Array} regions - Array of {box, orientation} objects
+     * @returns {Object} - {order, blocks}: order is every region index in reading
+     *   order; blocks are {type, orientation, box, members} with members in
+     *   reading order. type is 'paragraph', 'column' or 'menu'.
+     */
+    function analyze(regions) {
+        // Paragraphs and columns first
+        const paragraphs = groupBy(regions, isParagraphLink).map(members => ({
+            members: members,
+            orientation: regions[members[0]].orientation
+        }));
+
+        // Single horizontal lines that stack centre-aligned form menus
+        const singles = paragraphs.filter(p => p.members.length === 1 && p.orientation === 'horizontal');
+        const others = paragraphs.filter(p => !singles.includes(p));
+        const menus = groupBy(singles, (a, b) => isMenuLink(regions[a.members[0]], regions[b.members[0]]));
+
+        const blocks = others.map(p => ({
+            type: p.orientation === 'vertical' ? 'column' : 'paragraph',
+            orientation: p.orientation,
+            members: p.members
+        }));
+        for (const group of menus) {
+            const members = group.map(i => singles[i].members[0]);
+            blocks.push({
+                type: members.length > 1 ? 'menu' : 'paragraph',
+                orientation: 'horizontal',
+                members: members
+            });
+        }
+
+        for (const block of blocks) {
+            block.members = sortMembers(regions, block.members, block.orientation);
+            block.box = unionBox(block.members.map(i => regions[i].box));
+        }
+
+        const ordered = orderBlocks(blocks);
+        return {
+            order: ordered.flatMap(block => block.members),
+            blocks: ordered
+        };
+    }
+
+    // ========================
+    // PUBLIC API
+    // ========================
+
+    return {
+        analyze: analyze
+    };
+
+})();
+
+// Export for use as a module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OCRLayout;
+}
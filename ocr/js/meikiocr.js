@@ -12,31 +12,83 @@
 const MeikiOCR = (function() {
     'use strict';
 
+    // Layout analysis lives in layout.js (loaded before this file, or required under Node)
+    const Layout = typeof OCRLayout !== 'undefined' ? OCRLayout : require('./layout.js');
+    const Preprocess = typeof ImagePreprocess !== 'undefined' ? ImagePreprocess : require('./preprocess.js');
+
     // ========================
     // CONSTANTS
     // ========================
 
+    // LOCAL paths are resolved against the page URL (or the baseUrl init option).
+    // SHA256 is the expected digest of the model file (the LFS oid on its
+    // Hugging Face file page); a download that doesn't match is rejected and
+    // never cached. An unpinned model (null) is only checked against the
+    // hash recorded on first download, which fetchModelBytes warns about.
     const MODELS = {
         DETECT: {
             URL: 'https://huggingface.co/rtr46/meiki.text.detect.v0/resolve/main/meiki.text.detect.small.v0.onnx',
-            LOCAL: '/ext/meiki.text.detect.v0/meiki.text.detect.small.v0.onnx',
+            LOCAL: '../ext/meiki.text.detect.v0/meiki.text.detect.small.v0.onnx',
+            SHA256: null,
             INPUT_SIZE: 640
         },
         RECOGNIZE: {
             URL: 'https://huggingface.co/rtr46/meiki.txt.recognition.v0/resolve/main/meiki.text.rec.v0.960x32.onnx',
             LOCAL: '../ext/meiki.txt.recognition.v0/meiki.text.rec.v0.960x32.onnx',
+            SHA256: null,
             INPUT_WIDTH: 960,
             INPUT_HEIGHT: 32
         }
     };
 
+    // Cache API bucket holding downloaded model bytes
+    const MODEL_CACHE_NAME = 'meikiocr-models-v1';
+    const MODEL_HASH_HEADER = 'X-Model-SHA256';
+
+    // Defaults and allowed ranges; override through init() or per recognize() call
     const THRESHOLDS = {
-        DETECT_CONFIDENCE: 0.3,
-        RECOGNIZE_CONFIDENCE: 0.1,
-        X_OVERLAP: 0.3
+        detectConfidence: { DEFAULT: 0.3, MIN: 0.05, MAX: 0.95 },
+        recognizeConfidence: { DEFAULT: 0.1, MIN: 0.01, MAX: 0.95 },
+        xOverlap: { DEFAULT: 0.3, MIN: 0, MAX: 1 }
+    };
+
+    const VERTICAL = {
+        ASPECT_RATIO: 1.5,    // height / width above which a region is read as a column
+        INK_THRESHOLD: 0.25,  // fraction of peak row contrast that counts as glyph ink
+        MERGE_RATIO: 1.15,    // max (cell height / column width) when joining glyph fragments
+        SPLIT_RATIO: 1.5,     // cells taller than this (relative to width) are split evenly
+        CELL_GAP: 0.1         // spacing between laid-out cells, relative to column width
+    };
+
+    // Furigana (ruby) sits in a thin band just above a horizontal line, or just
+    // to the right of a vertical column
+    const RUBY = {
+        SIZE_RATIO: 0.6,      // ruby thickness is at most this fraction of the base line's
+        MAX_GAP: 0.5,         // max gap to the base line, relative to base thickness
+        MAX_OVERLAP: 0.25,    // ruby may overlap the base line by this fraction of base thickness
+        MIN_COVERAGE: 0.8     // fraction of the ruby's length that must lie alongside the base
     };
 
-    const WASM_THREADS = 24;
+    // Vertical presentation forms and glyphs that only look right when rotated
+    const VERTICAL_FORMS = {
+        '﹁': '「', '﹂': '」', '﹃': '『', '﹄': '』',
+        '︵': '（', '︶': '）', '︗': '【', '︘': '】',
+        '︙': '…', '︰': '‥', '︱': 'ー', '｜': 'ー', '|': 'ー', '│': 'ー', '丨': 'ー'
+    };
+
+    const WASM_THREADS = { DEFAULT: 24, MIN: 1, MAX: 64 };
+
+    // Largest number of crops stacked into one recognition call
+    const MAX_RECOGNIZE_BATCH = 16;
+
+    // Raw recognition outputs reused for crops that look the same as before
+    // (name plates, HUD labels and menus that stay put while dialogue changes)
+    const REGION_CACHE = {
+        MAX_ENTRIES: 64,
+        HASH_CELL: 4,         // hash cell size in model input pixels (32px lines -> 8 rows)
+        CHECK_CELL: 2,        // finer cells compared before a cached result is reused
+        MAX_CELL_DIFF: 48     // largest brightness change (0-255) of any check cell on a hit
+    };
 
     // ========================
     // STATE
@@ -44,40 +96,115 @@ const MeikiOCR = (function() {
 
     let detectSession = null;
     let recognizeSession = null;
+    let recognizeBatchSize = MAX_RECOGNIZE_BATCH; // Lowered if the model's batch dimension rejects larger batches
     let initialized = false;
+    let thresholds = resolveThresholds(null, null);
+    let preprocess = Preprocess.resolve(null);
+    let runtime = null; // ONNX Runtime: the `ort` global, or one passed to init()
+    const regionCache = new Map(); // crop hash -> {signature, output}, oldest first (LRU)
+    const cacheStats = { hits: 0, misses: 0 };
+    let adapter = null; // Canvas/image adapter, see PLATFORM ADAPTER
 
     // ========================
     // INITIALIZATION
     // ========================
 
+    /**
+     * Merge threshold overrides onto a base set, validating each value
+     * @param {Object|null} overrides - {detectConfidence, recognizeConfidence, xOverlap} (all optional)
+     * @param {Object|null} base - Thresholds to start from (built-in defaults if null)
+     * @returns {Object} - Complete threshold set
+     */
+    function resolveThresholds(overrides, base) {
+        const result = base ? { ...base } : {};
+        if (!base) {
+            for (const [key, range] of Object.entries(THRESHOLDS)) {
+                result[key] = range.DEFAULT;
+            }
+        }
+        if (!overrides) return result;
+
+        for (const [key, value] of Object.entries(overrides)) {
+            if (value === undefined || value === null) continue;
+
+            const range = THRESHOLDS[key];
+            if (!range) {
+                throw new Error(`Unknown threshold: ${key}`);
+            }
+            if (typeof value !== 'number' || !Number.isFinite(value) || value < range.MIN || value > range.MAX) {
+                throw new RangeError(`Threshold ${key} must be a number between ${range.MIN} and ${range.MAX}`);
+            }
+            result[key] = value;
+        }
+        return result;
+    }
+
+    /**
+     * Validate a WASM thread count
+     * @param {number} value - Requested thread count
+     * @returns {number}
+     */
+    function resolveWasmThreads(value) {
+        if (value === undefined || value === null) return WASM_THREADS.DEFAULT;
+        if (!Number.isInteger(value) || value < WASM_THREADS.MIN || value > WASM_THREADS.MAX) {
+            throw new RangeError(`wasmThreads must be an integer between ${WASM_THREADS.MIN} and ${WASM_THREADS.MAX}`);
+        }
+        return value;
+    }
+
     /**
      * Initialize the MeikiOCR models
      * @param {Object} options - Configuration options
      * @param {boolean} options.useLocal - Try to load local models first
+     * @param {string} options.baseUrl - Base URL for local model paths (defaults to the current location)
+     *   Models are stored in the Cache API after the first download and loaded from there afterwards
+     * @param {Object} options.thresholds - Default thresholds {detectConfidence, recognizeConfidence, xOverlap}
+     * @param {Object} options.preprocess - Default image preprocessing (see preprocess.js)
+     * @param {number} options.wasmThreads - ONNX Runtime WASM thread count (only applied on first init)
+     * @param {Object} options.ort - ONNX Runtime to use instead of the `ort` global (e.g. onnxruntime-node)
+     * @param {Object} options.adapter - Canvas/image adapter overrides for running outside a
+     *   browser: {createCanvas, decodeImage, fetch} (see PLATFORM ADAPTER)
      * @param {Function} options.onProgress - Progress callback (stage, message)
      * @returns {Promise<void>}
      */
     async function init(options = {}) {
+        const { useLocal = true, baseUrl = null, onProgress = null } = options;
+
+        // Thresholds and preprocessing can be changed on every init call, even after the models are loaded
+        thresholds = resolveThresholds(options.thresholds, thresholds);
+        if (options.preprocess) {
+            preprocess = Preprocess.resolve({ ...preprocess, ...options.preprocess });
+        }
+
         if (initialized) {
             return;
         }
 
-        const { useLocal = true, onProgress = null } = options;
+        adapter = { ...createBrowserAdapter(), ...(options.adapter || {}) };
+        runtime = options.ort || (typeof ort !== 'undefined' ? ort : null);
 
-        // Configure ONNX Runtime
-        if (typeof ort !== 'undefined') {
-            ort.env.wasm.numThreads = WASM_THREADS;
-        } else {
+        const wasmThreads = resolveWasmThreads(options.wasmThreads);
+        const base = baseUrl || (typeof self !== 'undefined' && self.location ? self.location.href : null);
+        const resolveLocal = (path) => {
+            if (!base) throw new Error('baseUrl is required to resolve local model paths');
+            return new URL(path, base).href;
+        };
+
+        // Configure ONNX Runtime (the WASM setting is ignored by native runtimes)
+        if (!runtime) {
             throw new Error('ONNX Runtime Web not found. Please include ort.min.js');
         }
+        if (runtime.env && runtime.env.wasm) {
+            runtime.env.wasm.numThreads = wasmThreads;
+        }
 
         try {
             // Load detection model
             if (onProgress) onProgress('detect', 'Loading detection model...');
 
             detectSession = await loadModel(
-                useLocal ? MODELS.DETECT.LOCAL : null,
-                MODELS.DETECT.URL
+                MODELS.DETECT,
+                useLocal ? resolveLocal(MODELS.DETECT.LOCAL) : null
             );
 
             if (onProgress) onProgress('detect', 'Detection model loaded');
@@ -86,8 +213,8 @@ const MeikiOCR = (function() {
             if (onProgress) onProgress('recognize', 'Loading recognition model...');
 
             recognizeSession = await loadModel(
-                useLocal ? MODELS.RECOGNIZE.LOCAL : null,
-                MODELS.RECOGNIZE.URL
+                MODELS.RECOGNIZE,
+                useLocal ? resolveLocal(MODELS.RECOGNIZE.LOCAL) : null
             );
 
             if (onProgress) onProgress('recognize', 'Recognition model loaded');
@@ -102,82 +229,330 @@ const MeikiOCR = (function() {
 
     /**
      * Load an ONNX model, trying local first then fallback to URL
-     * @param {string|null} localPath - Local path to model
-     * @param {string} urlPath - URL to model
-     * @returns {Promise<ort.InferenceSession>}
+     * @param {Object} model - Entry from MODELS
+     * @param {string|null} localUrl - Resolved local URL, or null to skip it
+     * @returns {Promise<InferenceSession>}
      */
-    async function loadModel(localPath, urlPath) {
-        if (localPath) {
+    async function loadModel(model, localUrl) {
+        if (localUrl) {
             try {
-                return await ort.InferenceSession.create(localPath);
+                return await runtime.InferenceSession.create(await fetchModelBytes(localUrl, model.SHA256));
             } catch (error) {
-                console.warn(`Failed to load local model from ${localPath}, falling back to URL`);
+                console.warn(`Failed to load local model from ${localUrl}, falling back to URL:`, error.message);
             }
         }
-        return await ort.InferenceSession.create(urlPath);
+        return await runtime.InferenceSession.create(await fetchModelBytes(model.URL, model.SHA256));
     }
 
     // ========================
-    // DETECTION STAGE
+    // MODEL CACHE
     // ========================
 
     /**
-     * Preprocess image for detection model
-     * Resizes to fit 640x640 with padding
-     * @param {string} imageDataUrl - Image as data URL
-     * @returns {Promise<Object>} - Tensor data and scale info
+     * Hex-encoded SHA-256 of a buffer
+     * Throws where WebCrypto is unavailable (it requires a secure context),
+     * since model bytes must not be used unverified
+     * @param {ArrayBuffer} buffer - Data to hash
+     * @returns {Promise<string>}
      */
-    async function preprocessForDetection(imageDataUrl) {
-        return new Promise((resolve) => {
-            const img = new Image();
-            img.onload = () => {
-                const DETECT_SIZE = MODELS.DETECT.INPUT_SIZE;
-                const origWidth = img.width;
-                const origHeight = img.height;
-
-                // Calculate scale to fit within DETECT_SIZE x DETECT_SIZE
-                const scale = Math.min(DETECT_SIZE / origWidth, DETECT_SIZE / origHeight);
-                const newWidth = Math.round(origWidth * scale);
-                const newHeight = Math.round(origHeight * scale);
-
-                // Resize canvas
-                const resizeCanvas = document.createElement('canvas');
-                resizeCanvas.width = newWidth;
-                resizeCanvas.height = newHeight;
-                const resizeCtx = resizeCanvas.getContext('2d');
-                resizeCtx.drawImage(img, 0, 0, newWidth, newHeight);
-
-                // Pad to DETECT_SIZE x DETECT_SIZE
-                const paddedCanvas = document.createElement('canvas');
-                paddedCanvas.width = DETECT_SIZE;
-                paddedCanvas.height = DETECT_SIZE;
-                const paddedCtx = paddedCanvas.getContext('2d');
-                paddedCtx.fillStyle = 'black';
-                paddedCtx.fillRect(0, 0, DETECT_SIZE, DETECT_SIZE);
-                paddedCtx.drawImage(resizeCanvas, 0, 0);
-
-                // Convert to tensor [1, 3, 640, 640] - CHW format, normalized to [0, 1]
-                const imageData = paddedCtx.getImageData(0, 0, DETECT_SIZE, DETECT_SIZE);
-                const data = imageData.data;
-                const float32Data = new Float32Array(3 * DETECT_SIZE * DETECT_SIZE);
-
-                for (let i = 0; i < DETECT_SIZE * DETECT_SIZE; i++) {
-                    float32Data[i] = data[i * 4] / 255.0; // R
-                    float32Data[DETECT_SIZE * DETECT_SIZE + i] = data[i * 4 + 1] / 255.0; // G
-                    float32Data[2 * DETECT_SIZE * DETECT_SIZE + i] = data[i * 4 + 2] / 255.0; // B
+    async function sha256Hex(buffer) {
+        if (typeof crypto === 'undefined' || !crypto.subtle) {
+            throw new Error('Cannot verify model integrity: WebCrypto is unavailable (serve the page over HTTPS or from localhost)');
+        }
+        const digest = await crypto.subtle.digest('SHA-256', buffer);
+        return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Open the model cache, or null where the Cache API is unavailable
+     * @returns {Promise<Cache|null>}
+     */
+    async function openModelCache() {
+        if (typeof caches === 'undefined') {
+            return null;
+        }
+        try {
+            return await caches.open(MODEL_CACHE_NAME);
+        } catch (error) {
+            console.warn('Model cache unavailable:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Get model bytes from the cache, downloading and storing them on a miss
+     * Cached bytes are re-hashed on every load and discarded if they no longer
+     * match the pinned hash (or, for unpinned models, the hash recorded when
+     * they were downloaded). A download that doesn't match the pin is rejected.
+     * @param {string} url - Model URL (also the cache key)
+     * @param {string|null} expectedHash - Pinned SHA-256, if known
+     * @returns {Promise<Uint8Array>}
+     */
+    async function fetchModelBytes(url, expectedHash) {
+        const cache = await openModelCache();
+
+        if (cache) {
+            const cached = await cache.match(url);
+            if (cached) {
+                const bytes = await cached.arrayBuffer();
+                const hash = await sha256Hex(bytes);
+                const pinned = expectedHash || cached.headers.get(MODEL_HASH_HEADER);
+                if (hash === pinned) {
+                    return new Uint8Array(bytes);
                 }
+                console.warn(`Cached model ${url} failed its integrity check (sha256 ${hash}), downloading again`);
+                await cache.delete(url);
+            }
+        }
 
-                resolve({
-                    tensor: float32Data,
-                    scale: scale,
-                    origWidth: origWidth,
-                    origHeight: origHeight
-                });
+        const response = await adapter.fetch(url);
+        if (!response.ok) {
+            throw new Error(`Failed to download model ${url}: ${response.status} ${response.statusText}`);
+        }
+        const bytes = await response.arrayBuffer();
+        const hash = await sha256Hex(bytes);
+
+        if (!expectedHash) {
+            console.warn(`Model ${url} has no pinned SHA-256; trusting this download (sha256 ${hash})`);
+        } else if (hash !== expectedHash) {
+            throw new Error(`Model ${url} failed its integrity check: expected sha256 ${expectedHash}, got ${hash}`);
+        }
+
+        if (cache) {
+            const headers = {
+                'Content-Type': 'application/octet-stream',
+                [MODEL_HASH_HEADER]: hash
             };
-            img.src = imageDataUrl;
+            try {
+                await cache.put(url, new Response(bytes, { headers }));
+            } catch (error) {
+                console.warn(`Failed to cache model ${url}:`, error);
+            }
+        }
+
+        return new Uint8Array(bytes);
+    }
+
+    /**
+     * List cached models and their total size
+     * @returns {Promise<Object>} - {models: [{url, bytes}], totalBytes}
+     */
+    async function getModelCacheInfo() {
+        const cache = await openModelCache();
+        const models = [];
+
+        if (cache) {
+            for (const request of await cache.keys()) {
+                const response = await cache.match(request);
+                const blob = await response.blob();
+                models.push({ url: request.url, bytes: blob.size });
+            }
+        }
+
+        return {
+            models: models,
+            totalBytes: models.reduce((sum, model) => sum + model.bytes, 0)
+        };
+    }
+
+    /**
+     * Delete all cached models; they are downloaded again on the next init
+     * @returns {Promise<boolean>} - True if a cache was deleted
+     */
+    async function clearModelCache() {
+        if (typeof caches === 'undefined') {
+            return false;
+        }
+        return await caches.delete(MODEL_CACHE_NAME);
+    }
+
+    // ========================
+    // PLATFORM ADAPTER
+    // ========================
+
+    /**
+     * Default canvas/image adapter for browsers and workers. All pixel work in
+     * the pipeline goes through these, so other environments (Node with the
+     * `canvas` package) can run MeikiOCR by passing replacements to init():
+     *   createCanvas(width, height) - A canvas with a 2D context
+     *   decodeImage(source)         - Decode a string URL, Blob or byte array into
+     *                                 something the canvas can drawImage()
+     *   fetch(url)                  - Fetch model bytes (a Response-like object)
+     * @returns {Object}
+     */
+    function createBrowserAdapter() {
+        return {
+            createCanvas(width, height) {
+                if (typeof document === 'undefined') {
+                    return new OffscreenCanvas(width, height);
+                }
+                const canvas = document.createElement('canvas');
+                canvas.width = width;
+                canvas.height = height;
+                return canvas;
+            },
+
+            async decodeImage(source) {
+                if (typeof source === 'string') {
+                    return await decodeDataUrl(source);
+                }
+                const blob = source instanceof Blob ? source : new Blob([source]);
+                return await createImageBitmap(blob);
+            },
+
+            fetch: (url) => fetch(url)
+        };
+    }
+
+    /**
+     * Create a canvas through the active adapter
+     * @param {number} width - Canvas width
+     * @param {number} height - Canvas height
+     * @returns {HTMLCanvasElement|OffscreenCanvas}
+     */
+    function createCanvas(width, height) {
+        return (adapter || createBrowserAdapter()).createCanvas(width, height);
+    }
+
+    /**
+     * Decode a data URL into something drawable
+     * Uses an <img> element on the main thread and createImageBitmap inside
+     * a worker, where there is no DOM
+     * @param {string} dataUrl - Image as data URL
+     * @returns {Promise<HTMLImageElement|ImageBitmap>}
+     */
+    async function decodeDataUrl(dataUrl) {
+        if (typeof Image === 'undefined') {
+            const blob = await (await fetch(dataUrl)).blob();
+            return await createImageBitmap(blob);
+        }
+
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+            img.onload = () => resolve(img);
+            img.onerror = () => reject(new Error('Failed to decode image'));
+            img.src = dataUrl;
         });
     }
 
+    // ========================
+    // DETECTION STAGE
+    // ========================
+
+    /**
+     * Load any supported image source into a canvas, decoding it at most once
+     * Canvases are used as-is; everything else is drawn onto a new canvas.
+     * Strings, Blobs and byte arrays are decoded by the adapter.
+     * @param {string|Blob|ArrayBuffer|Uint8Array|ImageBitmap|ImageData|HTMLImageElement|HTMLVideoElement|HTMLCanvasElement|OffscreenCanvas} source
+     * @returns {Promise<HTMLCanvasElement|OffscreenCanvas>}
+     */
+    async function loadImageCanvas(source) {
+        if (!source) {
+            throw new Error('No image provided');
+        }
+
+        const isCanvas = (typeof HTMLCanvasElement !== 'undefined' && source instanceof HTMLCanvasElement) ||
+            (typeof OffscreenCanvas !== 'undefined' && source instanceof OffscreenCanvas);
+        if (isCanvas) {
+            return source;
+        }
+
+        // Raw pixels: ImageData, or anything shaped like it ({data, width, height})
+        if (source.data && source.data.length === source.width * source.height * 4) {
+            const canvas = createCanvas(source.width, source.height);
+            const ctx = canvas.getContext('2d');
+            const imageData = ctx.createImageData(source.width, source.height);
+            imageData.data.set(source.data);
+            ctx.putImageData(imageData, 0, 0);
+            return canvas;
+        }
+
+        const isEncoded = typeof source === 'string' ||
+            (typeof Blob !== 'undefined' && source instanceof Blob) ||
+            source instanceof ArrayBuffer || ArrayBuffer.isView(source);
+
+        const drawable = isEncoded ? await adapter.decodeImage(source) : source;
+
+        const width = drawable.videoWidth || drawable.naturalWidth || drawable.width;
+        const height = drawable.videoHeight || drawable.naturalHeight || drawable.height;
+        if (!width || !height) {
+            throw new Error('Unsupported or empty image source');
+        }
+
+        const canvas = createCanvas(width, height);
+        canvas.getContext('2d').drawImage(drawable, 0, 0, width, height);
+
+        // Images decoded here are ours to release
+        if (drawable !== source && typeof drawable.close === 'function') {
+            drawable.close();
+        }
+
+        return canvas;
+    }
+
+    /**
+     * Run the pixel preprocessing chain on a canvas in place
+     * Done before padding so the black border doesn't skew auto-inversion
+     * @param {HTMLCanvasElement|OffscreenCanvas} canvas - Canvas to process
+     * @param {Object} activePreprocess - Preprocessing options
+     */
+    function applyPreprocess(canvas, activePreprocess) {
+        if (!Preprocess.isActive(activePreprocess)) return;
+
+        const ctx = canvas.getContext('2d');
+        const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+        ctx.putImageData(Preprocess.apply(imageData, activePreprocess), 0, 0);
+    }
+
+    /**
+     * Preprocess image for detection model
+     * Resizes to fit 640x640 with padding
+     * @param {HTMLCanvasElement|OffscreenCanvas} imageCanvas - Source image canvas
+     * @param {Object} activePreprocess - Preprocessing options for this call
+     * @returns {Object} - Tensor data and scale info
+     */
+    function preprocessForDetection(imageCanvas, activePreprocess) {
+        const DETECT_SIZE = MODELS.DETECT.INPUT_SIZE;
+        const origWidth = imageCanvas.width;
+        const origHeight = imageCanvas.height;
+
+        // Calculate scale to fit within DETECT_SIZE x DETECT_SIZE
+        const scale = Math.min(DETECT_SIZE / origWidth, DETECT_SIZE / origHeight);
+        const newWidth = Math.round(origWidth * scale);
+        const newHeight = Math.round(origHeight * scale);
+
+        // Resize canvas
+        const resizeCanvas = createCanvas(newWidth, newHeight);
+        const resizeCtx = resizeCanvas.getContext('2d');
+        resizeCtx.drawImage(imageCanvas, 0, 0, newWidth, newHeight);
+        applyPreprocess(resizeCanvas, activePreprocess);
+
+        // Pad to DETECT_SIZE x DETECT_SIZE
+        const paddedCanvas = createCanvas(DETECT_SIZE, DETECT_SIZE);
+        const paddedCtx = paddedCanvas.getContext('2d');
+        paddedCtx.fillStyle = 'black';
+        paddedCtx.fillRect(0, 0, DETECT_SIZE, DETECT_SIZE);
+        paddedCtx.drawImage(resizeCanvas, 0, 0);
+
+        // Convert to tensor [1, 3, 640, 640] - CHW format, normalized to [0, 1]
+        const imageData = paddedCtx.getImageData(0, 0, DETECT_SIZE, DETECT_SIZE);
+        const data = imageData.data;
+        const float32Data = new Float32Array(3 * DETECT_SIZE * DETECT_SIZE);
+
+        for (let i = 0; i < DETECT_SIZE * DETECT_SIZE; i++) {
+            float32Data[i] = data[i * 4] / 255.0; // R
+            float32Data[DETECT_SIZE * DETECT_SIZE + i] = data[i * 4 + 1] / 255.0; // G
+            float32Data[2 * DETECT_SIZE * DETECT_SIZE + i] = data[i * 4 + 2] / 255.0; // B
+        }
+
+        return {
+            tensor: float32Data,
+            scale: scale,
+            origWidth: origWidth,
+            origHeight: origHeight
+        };
+    }
+
     /**
      * Check if two bounding boxes overlap
      * @param {Array} box1 - First box [x1, y1, x2, y2]
@@ -262,21 +637,24 @@ const MeikiOCR = (function() {
 
     /**
      * Run detection model to find text regions
-     * @param {string} imageDataUrl - Image as data URL
-     * @returns {Promise<Array>} - Array of detected regions with boxes and scores
+     * @param {HTMLCanvasElement|OffscreenCanvas} imageCanvas - Source image canvas
+     * @param {Object} activeThresholds - Thresholds for this call
+     * @param {Object} activePreprocess - Preprocessing options for this call
+     * @returns {Promise<Object>} - {regions, rubyRegions}: text lines with boxes, scores and
+     *   orientation, plus furigana regions (each with a `base` region)
      */
-    async function detectTextRegions(imageDataUrl) {
+    async function detectTextRegions(imageCanvas, activeThresholds, activePreprocess) {
         if (!detectSession) {
             throw new Error('Detection model not initialized. Call init() first.');
         }
 
         // Preprocess image
-        const { tensor, scale, origWidth, origHeight } = await preprocessForDetection(imageDataUrl);
+        const { tensor, scale, origWidth, origHeight } = preprocessForDetection(imageCanvas, activePreprocess);
 
         // Create input tensors
         const DETECT_SIZE = MODELS.DETECT.INPUT_SIZE;
-        const imagesTensor = new ort.Tensor('float32', tensor, [1, 3, DETECT_SIZE, DETECT_SIZE]);
-        const origSizesTensor = new ort.Tensor('int64', [BigInt(DETECT_SIZE), BigInt(DETECT_SIZE)], [1, 2]);
+        const imagesTensor = new runtime.Tensor('float32', tensor, [1, 3, DETECT_SIZE, DETECT_SIZE]);
+        const origSizesTensor = new runtime.Tensor('int64', [BigInt(DETECT_SIZE), BigInt(DETECT_SIZE)], [1, 2]);
 
         // Run inference
         const results = await detectSession.run({
@@ -299,7 +677,7 @@ const MeikiOCR = (function() {
         // Filter and scale boxes back to original coordinates
         const detectedRegions = [];
         for (let i = 0; i < scores.length; i++) {
-            if (scores[i] < THRESHOLDS.DETECT_CONFIDENCE) continue;
+            if (scores[i] < activeThresholds.detectConfidence) continue;
 
             const box = [
                 Math.floor(boxes[i * 4] / scale),
@@ -317,13 +695,66 @@ const MeikiOCR = (function() {
             detectedRegions.push({ box, score: scores[i] });
         }
 
+        // Separate furigana before merging, so it isn't fused into the line below it
+        const isRuby = detectedRegions.map(region =>
+            detectedRegions.some(other => other !== region && isRubyOf(region.box, other.box))
+        );
+
         // Merge overlapping boxes
-        const mergedRegions = mergeOverlappingBoxes(detectedRegions);
+        const mergedRegions = mergeOverlappingBoxes(detectedRegions.filter((_, i) => !isRuby[i]));
+
+        for (const region of mergedRegions) {
+            region.orientation = getOrientation(region.box);
+        }
 
-        // Sort by Y coordinate (top to bottom)
-        mergedRegions.sort((a, b) => a.box[1] - b.box[1]);
+        // Pair each furigana region with the line it annotates
+        const rubyRegions = [];
+        for (const ruby of mergeOverlappingBoxes(detectedRegions.filter((_, i) => isRuby[i]))) {
+            const base = mergedRegions.find(region => isRubyOf(ruby.box, region.box));
+            if (base) {
+                rubyRegions.push({ ...ruby, orientation: base.orientation, base: base });
+            }
+        }
 
-        return mergedRegions;
+        return { regions: mergedRegions, rubyRegions };
+    }
+
+    /**
+     * Check whether a box looks like furigana for another box
+     * For horizontal base lines the ruby is a thinner band directly above;
+     * for vertical columns it is a thinner column directly to the right
+     * @param {Array} box - Candidate ruby box [x1, y1, x2, y2]
+     * @param {Array} baseBox - Candidate base line box [x1, y1, x2, y2]
+     * @returns {boolean}
+     */
+    function isRubyOf(box, baseBox) {
+        const vertical = getOrientation(baseBox) === 'vertical';
+
+        // Thickness across the reading direction, and extent along it
+        const thickness = vertical ? box[2] - box[0] : box[3] - box[1];
+        const baseThickness = vertical ? baseBox[2] - baseBox[0] : baseBox[3] - baseBox[1];
+        const [start, end] = vertical ? [box[1], box[3]] : [box[0], box[2]];
+        const [baseStart, baseEnd] = vertical ? [baseBox[1], baseBox[3]] : [baseBox[0], baseBox[2]];
+
+        if (thickness <= 0 || thickness > baseThickness * RUBY.SIZE_RATIO) return false;
+
+        const gap = vertical ? box[0] - baseBox[2] : baseBox[1] - box[3];
+        if (gap < -baseThickness * RUBY.MAX_OVERLAP || gap > baseThickness * RUBY.MAX_GAP) return false;
+
+        const covered = Math.min(end, baseEnd) - Math.max(start, baseStart);
+        return covered >= (end - start) * RUBY.MIN_COVERAGE;
+    }
+
+    /**
+     * Classify a region as horizontal or vertical text by its aspect ratio
+     * Square-ish boxes (single characters) are read as horizontal
+     * @param {Array} box - Bounding box [x1, y1, x2, y2]
+     * @returns {string} - 'horizontal' or 'vertical'
+     */
+    function getOrientation(box) {
+        const width = box[2] - box[0];
+        const height = box[3] - box[1];
+        return height > width * VERTICAL.ASPECT_RATIO ? 'vertical' : 'horizontal';
     }
 
     // ========================
@@ -332,34 +763,159 @@ const MeikiOCR = (function() {
 
     /**
      * Crop a detected box from the original image
-     * @param {HTMLCanvasElement} imageCanvas - Original image canvas
+     * Vertical columns are sliced into character cells and laid out as a
+     * horizontal strip, which is the layout the recognition model expects
+     * @param {HTMLCanvasElement|OffscreenCanvas} imageCanvas - Original image canvas
      * @param {Array} box - Bounding box [x1, y1, x2, y2]
-     * @returns {HTMLCanvasElement|null} - Cropped canvas or null if invalid
+     * @param {string} orientation - 'horizontal' or 'vertical'
+     * @returns {Object|null} - {canvas, cells} or null if invalid
      */
-    function cropBox(imageCanvas, box) {
+    function cropBox(imageCanvas, box, orientation = 'horizontal') {
         const [x1, y1, x2, y2] = box;
         const width = x2 - x1;
         const height = y2 - y1;
 
-        // Validate horizontal text (width > height)
-        if (width <= height) return null;
+        if (width <= 0 || height <= 0) return null;
 
-        const cropCanvas = document.createElement('canvas');
-        cropCanvas.width = width;
-        cropCanvas.height = height;
+        const cropCanvas = createCanvas(width, height);
         const ctx = cropCanvas.getContext('2d');
         ctx.drawImage(imageCanvas, x1, y1, width, height, 0, 0, width, height);
 
-        return cropCanvas;
+        if (orientation === 'vertical') {
+            return buildVerticalStrip(cropCanvas);
+        }
+
+        return { canvas: cropCanvas, cells: null };
+    }
+
+    /**
+     * Split a vertical column into per-character row ranges
+     * Uses a row contrast profile: rows containing glyph strokes have a wide
+     * luminance range, the gaps between characters are flat
+     * @param {HTMLCanvasElement} cropCanvas - Cropped column
+     * @returns {Object} - {segments: Array of [startY, endY], background: CSS color}
+     */
+    function segmentColumn(cropCanvas) {
+        const { width, height } = cropCanvas;
+        const data = cropCanvas.getContext('2d').getImageData(0, 0, width, height).data;
+
+        const profile = new Float32Array(height);
+        let peak = 0;
+        for (let y = 0; y < height; y++) {
+            let min = 255, max = 0;
+            for (let x = 0; x < width; x++) {
+                const i = (y * width + x) * 4;
+                const lum = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+                if (lum < min) min = lum;
+                if (lum > max) max = lum;
+            }
+            profile[y] = max - min;
+            peak = Math.max(peak, profile[y]);
+        }
+
+        // Collect runs of ink rows, averaging the colour of the gaps as background
+        const inkLevel = peak * VERTICAL.INK_THRESHOLD;
+        const runs = [];
+        const bg = [0, 0, 0];
+        let bgRows = 0;
+        let start = -1;
+        for (let y = 0; y <= height; y++) {
+            const ink = y < height && profile[y] > inkLevel;
+            if (ink && start === -1) {
+                start = y;
+            } else if (!ink && start !== -1) {
+                runs.push([start, y]);
+                start = -1;
+            }
+            if (y < height && !ink) {
+                const i = y * width * 4;
+                bg[0] += data[i];
+                bg[1] += data[i + 1];
+                bg[2] += data[i + 2];
+                bgRows++;
+            }
+        }
+        if (runs.length === 0) runs.push([0, height]);
+
+        // Join fragments of the same glyph (e.g. 三, ぃ) while they fit in one cell
+        const maxCellHeight = width * VERTICAL.MERGE_RATIO;
+        const merged = [runs[0].slice()];
+        for (const run of runs.slice(1)) {
+            const last = merged[merged.length - 1];
+            if (run[1] - last[0] <= maxCellHeight) {
+                last[1] = run[1];
+            } else {
+                merged.push(run.slice());
+            }
+        }
+
+        // Split runs of touching glyphs evenly by the column pitch
+        const segments = [];
+        for (const [s, e] of merged) {
+            const runHeight = e - s;
+            if (runHeight > width * VERTICAL.SPLIT_RATIO) {
+                const count = Math.round(runHeight / width);
+                for (let k = 0; k < count; k++) {
+                    segments.push([
+                        s + Math.round(k * runHeight / count),
+                        s + Math.round((k + 1) * runHeight / count)
+                    ]);
+                }
+            } else {
+                segments.push([s, e]);
+            }
+        }
+
+        const background = bgRows > 0
+            ? `rgb(${Math.round(bg[0] / bgRows)}, ${Math.round(bg[1] / bgRows)}, ${Math.round(bg[2] / bgRows)})`
+            : 'black';
+
+        return { segments, background };
+    }
+
+    /**
+     * Lay out the characters of a vertical column side by side
+     * Each character is centred in a square cell the width of the column
+     * @param {HTMLCanvasElement} cropCanvas - Cropped column
+     * @returns {Object} - {canvas, cells} where cells map strip x ranges back to column rows
+     */
+    function buildVerticalStrip(cropCanvas) {
+        const cellSize = cropCanvas.width;
+        const gap = Math.max(1, Math.round(cellSize * VERTICAL.CELL_GAP));
+        const { segments, background } = segmentColumn(cropCanvas);
+
+        const stripCanvas = createCanvas(segments.length * (cellSize + gap) + gap, cellSize);
+        const ctx = stripCanvas.getContext('2d');
+        ctx.fillStyle = background;
+        ctx.fillRect(0, 0, stripCanvas.width, stripCanvas.height);
+
+        const cells = [];
+        let x = gap;
+        for (const [s, e] of segments) {
+            const segHeight = e - s;
+            const scale = Math.min(1, cellSize / segHeight);
+            const drawWidth = cellSize * scale;
+            const drawHeight = segHeight * scale;
+            ctx.drawImage(
+                cropCanvas,
+                0, s, cellSize, segHeight,
+                x + (cellSize - drawWidth) / 2, (cellSize - drawHeight) / 2, drawWidth, drawHeight
+            );
+            cells.push({ x: x, width: cellSize, srcY: s, srcHeight: segHeight });
+            x += cellSize + gap;
+        }
+
+        return { canvas: stripCanvas, cells };
     }
 
     /**
      * Preprocess cropped box for recognition model
      * Resizes to height=32, pads to 960x32
      * @param {HTMLCanvasElement} cropCanvas - Cropped text region
+     * @param {Object} activePreprocess - Preprocessing options for this call
      * @returns {Object} - Tensor data and metadata
      */
-    function preprocessCropForRecognition(cropCanvas) {
+    function preprocessCropForRecognition(cropCanvas, activePreprocess) {
         const INPUT_WIDTH = MODELS.RECOGNIZE.INPUT_WIDTH;
         const INPUT_HEIGHT = MODELS.RECOGNIZE.INPUT_HEIGHT;
 
@@ -378,16 +934,13 @@ const MeikiOCR = (function() {
         }
 
         // Resize
-        const resizeCanvas = document.createElement('canvas');
-        resizeCanvas.width = newWidth;
-        resizeCanvas.height = newHeight;
+        const resizeCanvas = createCanvas(newWidth, newHeight);
         const resizeCtx = resizeCanvas.getContext('2d');
         resizeCtx.drawImage(cropCanvas, 0, 0, newWidth, newHeight);
+        applyPreprocess(resizeCanvas, activePreprocess);
 
         // Pad to INPUT_WIDTH x INPUT_HEIGHT
-        const paddedCanvas = document.createElement('canvas');
-        paddedCanvas.width = INPUT_WIDTH;
-        paddedCanvas.height = INPUT_HEIGHT;
+        const paddedCanvas = createCanvas(INPUT_WIDTH, INPUT_HEIGHT);
         const paddedCtx = paddedCanvas.getContext('2d');
         paddedCtx.fillStyle = 'black';
         paddedCtx.fillRect(0, 0, INPUT_WIDTH, INPUT_HEIGHT);
@@ -420,16 +973,17 @@ const MeikiOCR = (function() {
      * @param {number} effectiveWidth - Width of content area (before padding)
      * @param {number} origWidth - Original crop width
      * @param {number} origHeight - Original crop height
+     * @param {Object} activeThresholds - Thresholds for this call
      * @returns {Object} - Decoded text and character details
      */
-    function decodeMeikiOCROutput(labels, boxes, scores, effectiveWidth, origWidth, origHeight) {
+    function decodeMeikiOCROutput(labels, boxes, scores, effectiveWidth, origWidth, origHeight, activeThresholds) {
         const INPUT_HEIGHT = MODELS.RECOGNIZE.INPUT_HEIGHT;
         let candidates = [];
 
         // Process each detected character
         for (let i = 0; i < labels.length; i++) {
             const score = scores[i];
-            if (score < THRESHOLDS.RECOGNIZE_CONFIDENCE) continue;
+            if (score < activeThresholds.recognizeConfidence) continue;
 
             const label = labels[i];
             const char = String.fromCharCode(label);
@@ -467,7 +1021,7 @@ const MeikiOCR = (function() {
                 const [bx1, bx2] = other.xInterval;
                 const overlap = Math.min(ax2, bx2) - Math.max(ax1, bx1);
                 const minWidth = Math.min(ax2 - ax1, bx2 - bx1);
-                if (overlap > minWidth * THRESHOLDS.X_OVERLAP) {
+                if (overlap > minWidth * activeThresholds.xOverlap) {
                     overlaps = true;
                     break;
                 }
@@ -485,28 +1039,71 @@ const MeikiOCR = (function() {
     }
 
     /**
-     * Recognize text in a detected region
-     * @param {HTMLCanvasElement} imageCanvas - Original image canvas
-     * @param {Array} box - Bounding box [x1, y1, x2, y2]
-     * @returns {Promise<string>} - Recognized text
+     * Map decoded characters from crop space into full-image coordinates
+     * For vertical columns each character is placed on the column row range
+     * of the strip cell it was read from, and vertical glyph forms are
+     * replaced with their horizontal equivalents
+     * @param {Array} chars - Characters from decodeMeikiOCROutput
+     * @param {Object} region - Detected region {box, orientation}
+     * @param {Array|null} cells - Strip cells from buildVerticalStrip
+     * @returns {Array} - Array of {char, box, confidence}
      */
-    async function recognizeTextRegion(imageCanvas, box) {
-        if (!recognizeSession) {
-            throw new Error('Recognition model not initialized. Call init() first.');
-        }
+    function mapCharsToImage(chars, region, cells) {
+        const [x1, y1, x2] = region.box;
+
+        return chars.map(c => {
+            const [cx1, cy1, cx2, cy2] = c.bbox;
+
+            if (!cells) {
+                return {
+                    char: c.char,
+                    box: [x1 + cx1, y1 + cy1, x1 + cx2, y1 + cy2],
+                    confidence: c.conf
+                };
+            }
 
-        // Crop region
-        const cropCanvas = cropBox(imageCanvas, box);
-        if (!cropCanvas) return ''; // Skip invalid boxes
+            // Find the strip cell this character overlaps most
+            let best = cells[0];
+            let bestOverlap = -Infinity;
+            for (const cell of cells) {
+                const overlap = Math.min(cx2, cell.x + cell.width) - Math.max(cx1, cell.x);
+                if (overlap > bestOverlap) {
+                    bestOverlap = overlap;
+                    best = cell;
+                }
+            }
 
-        // Preprocess crop
-        const { tensor, effectiveWidth, origWidth, origHeight } = preprocessCropForRecognition(cropCanvas);
+            return {
+                char: VERTICAL_FORMS[c.char] || c.char,
+                box: [x1, y1 + best.srcY, x2, y1 + best.srcY + best.srcHeight],
+                confidence: c.conf
+            };
+        });
+    }
 
-        // Create input tensors
+    /**
+     * Run the recognition model on a batch of preprocessed crops
+     * All crops are stacked into one [N, 3, 32, 960] tensor
+     * @param {Array} inputs - Outputs of preprocessCropForRecognition
+     * @returns {Promise<Array>} - Per-crop {labels, boxes, scores}
+     */
+    async function runRecognitionBatch(inputs) {
         const INPUT_WIDTH = MODELS.RECOGNIZE.INPUT_WIDTH;
         const INPUT_HEIGHT = MODELS.RECOGNIZE.INPUT_HEIGHT;
-        const imagesTensor = new ort.Tensor('float32', tensor, [1, 3, INPUT_HEIGHT, INPUT_WIDTH]);
-        const origSizesTensor = new ort.Tensor('int64', [BigInt(INPUT_WIDTH), BigInt(INPUT_HEIGHT)], [1, 2]);
+        const batchSize = inputs.length;
+        const itemSize = 3 * INPUT_HEIGHT * INPUT_WIDTH;
+
+        // Stack crops into a single tensor
+        const batchData = new Float32Array(batchSize * itemSize);
+        const sizes = new BigInt64Array(batchSize * 2);
+        inputs.forEach((input, i) => {
+            batchData.set(input.tensor, i * itemSize);
+            sizes[i * 2] = BigInt(INPUT_WIDTH);
+            sizes[i * 2 + 1] = BigInt(INPUT_HEIGHT);
+        });
+
+        const imagesTensor = new runtime.Tensor('float32', batchData, [batchSize, 3, INPUT_HEIGHT, INPUT_WIDTH]);
+        const origSizesTensor = new runtime.Tensor('int64', sizes, [batchSize, 2]);
 
         // Run inference
         const results = await recognizeSession.run({
@@ -528,9 +1125,296 @@ const MeikiOCR = (function() {
             scores = results[keys[2]].data;
         }
 
-        // Decode to text
-        const { text } = decodeMeikiOCROutput(labels, boxes, scores, effectiveWidth, origWidth, origHeight);
-        return text;
+        // Split the batch back into per-crop outputs
+        const perItem = labels.length / batchSize;
+        const outputs = [];
+        for (let i = 0; i < batchSize; i++) {
+            outputs.push({
+                labels: labels.slice(i * perItem, (i + 1) * perItem),
+                boxes: boxes.slice(i * perItem * 4, (i + 1) * perItem * 4),
+                scores: scores.slice(i * perItem, (i + 1) * perItem)
+            });
+        }
+        return outputs;
+    }
+
+    /**
+     * Whether an inference error comes from the model's input shape (e.g. a
+     * fixed batch dimension) rather than from this particular run
+     * @param {Error} error - Error thrown by session.run
+     * @returns {boolean}
+     */
+    function isBatchShapeError(error) {
+        return /invalid dimensions|shape|batch/i.test(String(error && error.message));
+    }
+
+    /**
+     * Run recognition on all crops using as few inference calls as possible
+     * If a batch fails it is retried in halves for this call; only shape
+     * errors (e.g. a fixed batch dimension) lower the batch size for later calls
+     * @param {Array} inputs - Outputs of preprocessCropForRecognition
+     * @param {Function|null} onProgress - Progress callback (stage, message)
+     * @param {AbortSignal|null} signal - Checked before each batch
+     * @returns {Promise<Array>} - Per-crop {labels, boxes, scores}
+     */
+    async function runRecognition(inputs, onProgress = null, signal = null) {
+        if (!recognizeSession) {
+            throw new Error('Recognition model not initialized. Call init() first.');
+        }
+
+        const outputs = [];
+        let batchSize = recognizeBatchSize;
+        let start = 0;
+        while (start < inputs.length) {
+            throwIfAborted(signal);
+            const size = Math.min(batchSize, inputs.length - start);
+            try {
+                outputs.push(...await runRecognitionBatch(inputs.slice(start, start + size)));
+                start += size;
+            } catch (error) {
+                if (size === 1) throw error;
+                batchSize = Math.max(1, Math.floor(size / 2));
+                if (isBatchShapeError(error)) {
+                    recognizeBatchSize = batchSize;
+                }
+                console.warn(`Recognition batch of ${size} failed, retrying with batches of ${batchSize}:`, error.message);
+                continue;
+            }
+
+            if (onProgress) {
+                onProgress('recognize', `Processed ${start}/${inputs.length} region(s)`);
+            }
+        }
+        return outputs;
+    }
+
+    /**
+     * Stop if the caller has cancelled this OCR call
+     * @param {AbortSignal|null} signal - Signal passed to recognize()
+     */
+    function throwIfAborted(signal) {
+        if (signal) signal.throwIfAborted();
+    }
+
+    /**
+     * Attach a recognized furigana line to the base line it annotates
+     * @param {Object} baseLine - Recognized base line
+     * @param {Object} rubyLine - Recognized furigana line
+     */
+    function attachRubyLine(baseLine, rubyLine) {
+        const vertical = baseLine.orientation === 'vertical';
+        const [start, end] = vertical
+            ? [rubyLine.box[1], rubyLine.box[3]]
+            : [rubyLine.box[0], rubyLine.box[2]];
+
+        // Base characters lying alongside the ruby
+        const covered = [];
+        baseLine.chars.forEach((c, i) => {
+            const [cStart, cEnd] = vertical ? [c.box[1], c.box[3]] : [c.box[0], c.box[2]];
+            if (Math.min(end, cEnd) - Math.max(start, cStart) > 0) covered.push(i);
+        });
+
+        // Fall back to the nearest character
+        if (covered.length === 0) {
+            const centre = (start + end) / 2;
+            let nearest = 0;
+            let nearestDistance = Infinity;
+            baseLine.chars.forEach((c, i) => {
+                const cCentre = vertical ? (c.box[1] + c.box[3]) / 2 : (c.box[0] + c.box[2]) / 2;
+                if (Math.abs(cCentre - centre) < nearestDistance) {
+                    nearestDistance = Math.abs(cCentre - centre);
+                    nearest = i;
+                }
+            });
+            covered.push(nearest);
+        }
+
+        if (!baseLine.ruby) baseLine.ruby = [];
+        baseLine.ruby.push({
+            text: rubyLine.text,
+            box: rubyLine.box,
+            confidence: rubyLine.confidence,
+            baseStart: covered[0],
+            baseEnd: covered[covered.length - 1] + 1
+        });
+        baseLine.ruby.sort((a, b) => a.baseStart - b.baseStart);
+    }
+
+    // ========================
+    // REGION CACHE
+    // ========================
+
+    /**
+     * Mean brightness (0-255) of a recognition input over a grid of square cells
+     * Only the content area (effectiveWidth) is sampled, not the padding
+     * @param {Object} input - Output of preprocessCropForRecognition
+     * @param {number} cell - Cell size in model input pixels
+     * @returns {Object} - {means, rows, cols}
+     */
+    function sampleRecognitionInput(input, cell) {
+        const INPUT_WIDTH = MODELS.RECOGNIZE.INPUT_WIDTH;
+        const INPUT_HEIGHT = MODELS.RECOGNIZE.INPUT_HEIGHT;
+        const plane = INPUT_WIDTH * INPUT_HEIGHT;
+        const cols = Math.ceil(input.effectiveWidth / cell);
+        const rows = INPUT_HEIGHT / cell;
+
+        const sums = new Float32Array(rows * cols);
+        const counts = new Uint16Array(rows * cols);
+        for (let y = 0; y < INPUT_HEIGHT; y++) {
+            for (let x = 0; x < input.effectiveWidth; x++) {
+                const i = y * INPUT_WIDTH + x;
+                const c = Math.floor(y / cell) * cols + Math.floor(x / cell);
+                sums[c] += input.tensor[i] + input.tensor[plane + i] + input.tensor[2 * plane + i];
+                counts[c]++;
+            }
+        }
+
+        const means = new Float32Array(rows * cols);
+        for (let c = 0; c < means.length; c++) {
+            means[c] = counts[c] > 0 ? sums[c] * 255 / (3 * counts[c]) : 0;
+        }
+        return { means, rows, cols };
+    }
+
+    /**
+     * Perceptual hash of a recognition input (difference hash over a grid)
+     * Averages the model input over HASH_CELL-sized cells and records whether
+     * each cell is brighter than its right neighbour, so encoder noise and
+     * slight colour shifts don't matter but different text does. Hashing the
+     * model input means preprocessing is part of the key.
+     * @param {Object} input - Output of preprocessCropForRecognition
+     * @returns {string}
+     */
+    function hashRecognitionInput(input) {
+        const { means, rows, cols } = sampleRecognitionInput(input, REGION_CACHE.HASH_CELL);
+
+        let bits = '';
+        for (let r = 0; r < rows; r++) {
+            for (let c = 0; c + 1 < cols; c++) {
+                bits += means[r * cols + c] > means[r * cols + c + 1] ? '1' : '0';
+            }
+        }
+
+        // Pack into hex; width is part of the key so equal patterns at different lengths differ
+        let hex = '';
+        for (let i = 0; i < bits.length; i += 4) {
+            hex += parseInt(bits.slice(i, i + 4).padEnd(4, '0'), 2).toString(16);
+        }
+        return `${input.effectiveWidth}:${hex}`;
+    }
+
+    /**
+     * Finer brightness grid of a recognition input, checked on every cache hit
+     * The coarse hash can collide for glyphs that differ by one stroke (未/末,
+     * 土/士); at CHECK_CELL resolution such a stroke moves whole cells.
+     * @param {Object} input - Output of preprocessCropForRecognition
+     * @returns {Uint8ClampedArray}
+     */
+    function signRecognitionInput(input) {
+        return Uint8ClampedArray.from(sampleRecognitionInput(input, REGION_CACHE.CHECK_CELL).means);
+    }
+
+    /**
+     * Whether two signatures come from the same crop, allowing encoder noise
+     * @param {Uint8ClampedArray} a - Signature of the cached crop
+     * @param {Uint8ClampedArray} b - Signature of the new crop
+     * @returns {boolean}
+     */
+    function signaturesMatch(a, b) {
+        if (a.length !== b.length) return false;
+        for (let i = 0; i < a.length; i++) {
+            if (Math.abs(a[i] - b[i]) > REGION_CACHE.MAX_CELL_DIFF) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Look up cached raw outputs, marking the entry as recently used
+     * @param {string} key - Crop hash
+     * @param {Uint8ClampedArray} signature - Fine grid of the crop, see signRecognitionInput
+     * @returns {Object|null} - {labels, boxes, scores}
+     */
+    function getCachedOutput(key, signature) {
+        const entry = regionCache.get(key);
+        if (!entry || !signaturesMatch(entry.signature, signature)) return null;
+        regionCache.delete(key);
+        regionCache.set(key, entry);
+        return entry.output;
+    }
+
+    /**
+     * Store raw outputs, evicting the least recently used entry when full
+     * @param {string} key - Crop hash
+     * @param {Uint8ClampedArray} signature - Fine grid of the crop, see signRecognitionInput
+     * @param {Object} output - {labels, boxes, scores}
+     */
+    function setCachedOutput(key, signature, output) {
+        regionCache.delete(key);
+        regionCache.set(key, { signature, output });
+        if (regionCache.size > REGION_CACHE.MAX_ENTRIES) {
+            regionCache.delete(regionCache.keys().next().value);
+        }
+    }
+
+    /**
+     * Recognize crops, reusing cached outputs for ones seen before
+     * Outputs are cached before thresholds are applied, so threshold changes
+     * take effect on cached regions too
+     * @param {Array} inputs - Outputs of preprocessCropForRecognition
+     * @param {Function|null} onProgress - Progress callback (stage, message)
+     * @param {AbortSignal|null} signal - Cancels the call
+     * @param {boolean} useCache - False to bypass the cache entirely
+     * @returns {Promise<Array>} - Per-crop {labels, boxes, scores}
+     */
+    async function recognizeWithCache(inputs, onProgress, signal, useCache) {
+        if (!useCache) {
+            return await runRecognition(inputs, onProgress, signal);
+        }
+
+        const keys = inputs.map(hashRecognitionInput);
+        const signatures = inputs.map(signRecognitionInput);
+        const outputs = keys.map((key, i) => getCachedOutput(key, signatures[i]));
+        const missing = outputs.map((output, i) => (output ? -1 : i)).filter(i => i !== -1);
+
+        cacheStats.hits += inputs.length - missing.length;
+        cacheStats.misses += missing.length;
+
+        if (missing.length > 0) {
+            const fresh = await runRecognition(missing.map(i => inputs[i]), onProgress, signal);
+            missing.forEach((inputIndex, j) => {
+                outputs[inputIndex] = fresh[j];
+                setCachedOutput(keys[inputIndex], signatures[inputIndex], fresh[j]);
+            });
+        }
+
+        if (onProgress && missing.length < inputs.length) {
+            onProgress('recognize', `Reused ${inputs.length - missing.length} cached region(s)`);
+        }
+        return outputs;
+    }
+
+    /**
+     * Cache hit/miss counts since the last clear
+     * @returns {Object} - {hits, misses, hitRate, size, maxEntries}
+     */
+    function getCacheStats() {
+        const total = cacheStats.hits + cacheStats.misses;
+        return {
+            hits: cacheStats.hits,
+            misses: cacheStats.misses,
+            hitRate: total > 0 ? cacheStats.hits / total : 0,
+            size: regionCache.size,
+            maxEntries: REGION_CACHE.MAX_ENTRIES
+        };
+    }
+
+    /**
+     * Drop all cached regions and reset the statistics
+     */
+    function clearRegionCache() {
+        regionCache.clear();
+        cacheStats.hits = 0;
+        cacheStats.misses = 0;
     }
 
     // ========================
@@ -539,63 +1423,125 @@ const MeikiOCR = (function() {
 
     /**
      * Perform two-stage OCR on an image
-     * @param {string} imageDataUrl - Image as data URL (data:image/png;base64,...)
+     * @param {string|Blob|ImageBitmap|ImageData|HTMLImageElement|HTMLVideoElement|HTMLCanvasElement|OffscreenCanvas} image
+     *   - Image as data URL (data:image/png;base64,...), Blob, bitmap, pixel data or canvas
      * @param {Object} options - Options
+     * @param {Object} options.thresholds - Threshold overrides for this call only
+     * @param {Object} options.preprocess - Preprocessing overrides for this call only
+     * @param {string} options.ruby - Furigana handling: 'drop' (default) or 'attach', which
+     *   recognizes it and adds a `ruby` array of {text, box, confidence, baseStart, baseEnd}
+     *   to the annotated line (baseStart/baseEnd index into the line's chars, end exclusive)
+     * @param {boolean} options.cache - Reuse results for crops seen recently (default true)
+     * @param {AbortSignal} options.signal - Cancels the call between stages, regions and
+     *   recognition batches; the promise then rejects with the signal's reason (an AbortError)
      * @param {Function} options.onProgress - Progress callback (stage, message)
-     * @returns {Promise<Object>} - OCR results with text and metadata
+     * @returns {Promise<Object>} - OCR results {text, lines, blocks, regionCount}
+     *   Lines are in reading order. blocks groups them into paragraphs, columns
+     *   and menus: {type, orientation, box, lines (indices into lines), text}.
+     *   Each line is {text, box, confidence, detectionConfidence, orientation, chars}, where
+     *   confidence is the mean recognition score and chars is an array of
+     *   {char, box, confidence} in full-image coordinates
      */
-    async function recognize(imageDataUrl, options = {}) {
-        const { onProgress = null } = options;
+    async function recognize(image, options = {}) {
+        const { onProgress = null, ruby = 'drop', signal = null, cache = true } = options;
 
         if (!initialized) {
             throw new Error('MeikiOCR not initialized. Call init() first.');
         }
+        throwIfAborted(signal);
+
+        const activeThresholds = resolveThresholds(options.thresholds, thresholds);
+        const activePreprocess = Preprocess.resolve({ ...preprocess, ...(options.preprocess || {}) });
 
         try {
+            // Decode the input once; both stages draw from this canvas
+            const imageCanvas = await loadImageCanvas(image);
+            throwIfAborted(signal);
+
             // STAGE 1: DETECTION
             if (onProgress) onProgress('detect', 'Detecting text regions...');
-            const detectedRegions = await detectTextRegions(imageDataUrl);
+            const { regions: detectedRegions, rubyRegions } = await detectTextRegions(imageCanvas, activeThresholds, activePreprocess);
+            const attachRuby = ruby === 'attach';
+            throwIfAborted(signal);
 
             if (detectedRegions.length === 0) {
                 if (onProgress) onProgress('complete', 'No text detected');
-                return { text: '', lines: [], regionCount: 0 };
+                return { text: '', lines: [], blocks: [], regionCount: 0 };
             }
 
             if (onProgress) onProgress('detect', `Found ${detectedRegions.length} text region(s)`);
 
+            // Group regions into blocks and put them in reading order
+            const layout = Layout.analyze(detectedRegions);
+            const orderedRegions = layout.order.map(i => detectedRegions[i]);
+
             // STAGE 2: RECOGNITION
             if (onProgress) onProgress('recognize', 'Recognizing text...');
 
-            // Create canvas from original image
-            const img = new Image();
-            await new Promise((resolve) => {
-                img.onload = resolve;
-                img.src = imageDataUrl;
-            });
+            // Crop and preprocess every region, skipping invalid boxes
+            const crops = [];
+            for (const region of attachRuby ? [...orderedRegions, ...rubyRegions] : orderedRegions) {
+                throwIfAborted(signal);
+                const crop = cropBox(imageCanvas, region.box, region.orientation);
+                if (crop) {
+                    crops.push({ region, cells: crop.cells, input: preprocessCropForRecognition(crop.canvas, activePreprocess) });
+                }
+            }
 
-            const imageCanvas = document.createElement('canvas');
-            imageCanvas.width = img.width;
-            imageCanvas.height = img.height;
-            const imageCtx = imageCanvas.getContext('2d');
-            imageCtx.drawImage(img, 0, 0);
+            // Recognize all new crops in as few inference calls as possible
+            const outputs = await recognizeWithCache(crops.map(c => c.input), onProgress, signal, cache);
 
-            // Process each detected region
             const lines = [];
-            for (let i = 0; i < detectedRegions.length; i++) {
-                const { box, score } = detectedRegions[i];
-                const text = await recognizeTextRegion(imageCanvas, box);
-
-                if (text) {
-                    lines.push({
-                        text: text,
-                        box: box,
-                        confidence: score
-                    });
+            const lineByRegion = new Map();
+            const rubyLines = [];
+            crops.forEach(({ region, cells, input }, i) => {
+                const { labels, boxes, scores } = outputs[i];
+                const decoded = decodeMeikiOCROutput(
+                    labels, boxes, scores, input.effectiveWidth, input.origWidth, input.origHeight, activeThresholds
+                );
+                const chars = mapCharsToImage(decoded.chars, region, cells);
+                if (chars.length === 0) return;
+
+                // Line confidence is the mean recognition score of its characters
+                const confidence = chars.reduce((sum, c) => sum + c.confidence, 0) / chars.length;
+
+                const line = {
+                    text: chars.map(c => c.char).join(''),
+                    box: region.box,
+                    confidence: confidence,
+                    detectionConfidence: region.score,
+                    orientation: region.orientation,
+                    chars: chars
+                };
+
+                if (region.base) {
+                    rubyLines.push({ line, base: region.base });
+                } else {
+                    lines.push(line);
+                    lineByRegion.set(region, line);
                 }
+            });
 
-                if (onProgress) {
-                    onProgress('recognize', `Processing region ${i + 1}/${detectedRegions.length}`);
-                }
+            for (const { line, base } of rubyLines) {
+                const baseLine = lineByRegion.get(base);
+                if (baseLine) attachRubyLine(baseLine, line);
+            }
+
+            // Map layout blocks onto the recognized lines, dropping empty ones
+            const blocks = [];
+            for (const block of layout.blocks) {
+                const blockLines = block.members
+                    .map(i => lines.indexOf(lineByRegion.get(detectedRegions[i])))
+                    .filter(i => i !== -1);
+                if (blockLines.length === 0) continue;
+
+                blocks.push({
+                    type: block.type,
+                    orientation: block.orientation,
+                    box: block.box,
+                    lines: blockLines,
+                    text: blockLines.map(i => lines[i].text).join('\n')
+                });
             }
 
             const finalText = lines.map(line => line.text).join('\n');
@@ -605,10 +1551,13 @@ const MeikiOCR = (function() {
             return {
                 text: finalText,
                 lines: lines,
+                blocks: blocks,
                 regionCount: detectedRegions.length
             };
 
         } catch (error) {
+            // Cancellation is not a failure; pass it through for the caller to recognize
+            if (error.name === 'AbortError') throw error;
             throw new Error(`OCR failed: ${error.message}`);
         }
     }
@@ -618,6 +1567,12 @@ const MeikiOCR = (function() {
     // ========================
 
     return {
+        /**
+         * Engine identity (see engines.js)
+         */
+        id: 'meiki',
+        name: 'MeikiOCR (main thread)',
+
         /**
          * Initialize the OCR engine
          */
@@ -633,6 +1588,41 @@ const MeikiOCR = (function() {
          */
         isInitialized: () => initialized,
 
+        /**
+         * Inspect or clear the downloaded model cache (works before init)
+         */
+        getModelCacheInfo: getModelCacheInfo,
+        clearModelCache: clearModelCache,
+
+        /**
+         * Get the current default thresholds
+         */
+        getThresholds: () => ({ ...thresholds }),
+
+        /**
+         * Region cache statistics and reset
+         */
+        getCacheStats: getCacheStats,
+        clearRegionCache: clearRegionCache,
+
+        /**
+         * Get the current default preprocessing options
+         */
+        getPreprocess: () => ({ ...preprocess }),
+
+        /**
+         * Allowed threshold and thread ranges ({DEFAULT, MIN, MAX} per key)
+         */
+        limits: {
+            thresholds: THRESHOLDS,
+            wasmThreads: WASM_THREADS
+        },
+
+        /**
+         * Side length the detection model resizes frames to (for previews)
+         */
+        detectInputSize: MODELS.DETECT.INPUT_SIZE,
+
         /**
          * Get version info
          */
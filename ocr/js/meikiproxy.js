@@ -0,0 +1,235 @@
+/**
+ * MeikiOCR Worker Proxy
+ *
+ * Main-thread stand-in for MeikiOCR with the same init/recognize API.
+ * Calls are forwarded to js/meikiworker.js so ONNX inference and canvas
+ * preprocessing don't block the text display or the change detector.
+ */
+
+const MeikiOCRWorker = (function() {
+    'use strict';
+
+    const WORKER_URL = 'js/meikiworker.js';
+
+    // ========================
+    // STATE
+    // ========================
+
+    let worker = null;
+    let nextRequestId = 1;
+    let initialized = false;
+    const pending = new Map(); // id -> {resolve, reject, onProgress}
+
+    // ========================
+    // WORKER MESSAGING
+    // ========================
+
+    /**
+     * Check whether this browser can run the OCR worker
+     * @returns {boolean}
+     */
+    function isSupported() {
+        return typeof Worker !== 'undefined' &&
+            typeof OffscreenCanvas !== 'undefined' &&
+            typeof createImageBitmap !== 'undefined';
+    }
+
+    /**
+     * Get the worker, starting it on first use
+     * @returns {Worker}
+     */
+    function getWorker() {
+        if (worker) {
+            return worker;
+        }
+
+        worker = new Worker(WORKER_URL);
+
+        worker.addEventListener('message', (event) => {
+            const { id, type } = event.data;
+            const request = pending.get(id);
+            if (!request) return;
+
+            if (type === 'progress') {
+                if (request.onProgress) request.onProgress(event.data.stage, event.data.message);
+            } else if (type === 'result') {
+                pending.delete(id);
+                request.resolve(event.data.result);
+            } else if (type === 'error') {
+                pending.delete(id);
+                const error = new Error(event.data.message);
+                error.name = event.data.name || 'Error';
+                request.reject(error);
+            }
+        });
+
+        worker.addEventListener('error', (event) => {
+            const error = new Error(`OCR worker failed: ${event.message || 'unknown error'}`);
+            for (const request of pending.values()) {
+                request.reject(error);
+            }
+            pending.clear();
+            terminate();
+        });
+
+        return worker;
+    }
+
+    /**
+     * Send a request to the worker and wait for its result
+     * @param {Object} message - Message body ({type, ...})
+     * @param {Function|null} onProgress - Progress callback (stage, message)
+     * @param {Array} transfer - Transferable objects
+     * @param {AbortSignal|null} signal - Rejects the request and tells the worker to stop
+     * @returns {Promise<*>}
+     */
+    function request(message, onProgress = null, transfer = [], signal = null) {
+        const target = getWorker();
+        const id = nextRequestId++;
+
+        return new Promise((resolve, reject) => {
+            pending.set(id, { resolve, reject, onProgress });
+            target.postMessage({ ...message, id }, transfer);
+
+            if (signal) {
+                signal.addEventListener('abort', () => {
+                    if (!pending.has(id)) return;
+                    pending.delete(id);
+                    target.postMessage({ id, type: 'abort' });
+                    reject(signal.reason);
+                }, { once: true });
+            }
+        });
+    }
+
+    /**
+     * Convert an image source into a transferable ImageBitmap
+     * @param {string|Blob|ArrayBuffer|Uint8Array|ImageBitmap|ImageData|HTMLImageElement|HTMLVideoElement|HTMLCanvasElement|OffscreenCanvas} image
+     * @returns {Promise<ImageBitmap>}
+     */
+    async function toImageBitmap(image) {
+        if (!image) {
+            throw new Error('No image provided');
+        }
+        if (typeof ImageBitmap !== 'undefined' && image instanceof ImageBitmap) {
+            return image;
+        }
+        if (typeof image === 'string') {
+            const blob = await (await fetch(image)).blob();
+            return await createImageBitmap(blob);
+        }
+        // Encoded image bytes
+        if (image instanceof ArrayBuffer || ArrayBuffer.isView(image)) {
+            return await createImageBitmap(new Blob([image]));
+        }
+        // Raw pixels shaped like ImageData ({data, width, height}), as MeikiOCR.recognize accepts
+        if (!(image instanceof ImageData) && image.data && image.data.length === image.width * image.height * 4) {
+            return await createImageBitmap(new ImageData(new Uint8ClampedArray(image.data), image.width, image.height));
+        }
+        return await createImageBitmap(image);
+    }
+
+    // ========================
+    // PUBLIC METHODS
+    // ========================
+
+    /**
+     * Initialize the OCR engine inside the worker
+     * Repeat calls are forwarded too, so changed thresholds and preprocessing
+     * reach the worker (it keeps its loaded models, like MeikiOCR.init)
+     * @param {Object} options - Same options as MeikiOCR.init
+     * @returns {Promise<void>}
+     */
+    async function init(options = {}) {
+        const { onProgress = null, ...engineOptions } = options;
+
+        await request({
+            type: 'init',
+            options: {
+                // Resolve local model paths against the page, not the worker script
+                baseUrl: document.baseURI,
+                ...engineOptions,
+                reportProgress: !!onProgress
+            }
+        }, onProgress);
+
+        initialized = true;
+    }
+
+    /**
+     * Perform OCR on an image in the worker
+     * Bitmaps are transferred, so the caller must not use them afterwards
+     * @param {string|Blob|ImageBitmap|ImageData|HTMLImageElement|HTMLVideoElement|HTMLCanvasElement|OffscreenCanvas} image
+     *   - Any image source MeikiOCR.recognize accepts
+     * @param {Object} options - Same options as MeikiOCR.recognize (including signal)
+     * @returns {Promise<Object>} - OCR results with text and metadata
+     */
+    async function recognize(image, options = {}) {
+        if (!initialized) {
+            throw new Error('MeikiOCR not initialized. Call init() first.');
+        }
+
+        const { onProgress = null, signal = null, ...engineOptions } = options;
+        if (signal) signal.throwIfAborted();
+
+        const bitmap = await toImageBitmap(image);
+
+        return await request({
+            type: 'recognize',
+            image: bitmap,
+            options: { ...engineOptions, reportProgress: !!onProgress }
+        }, onProgress, [bitmap], signal);
+    }
+
+    /**
+     * Region cache statistics from the worker
+     * @returns {Promise<Object|null>} - Same as MeikiOCR.getCacheStats, or null if the worker isn't running
+     */
+    async function getCacheStats() {
+        if (!worker) return null;
+        return await request({ type: 'cacheStats' });
+    }
+
+    /**
+     * Drop the worker's cached regions
+     * @returns {Promise<void>}
+     */
+    async function clearRegionCache() {
+        if (!worker) return;
+        await request({ type: 'clearCache' });
+    }
+
+    /**
+     * Stop the worker and drop its loaded models
+     */
+    function terminate() {
+        if (worker) {
+            worker.terminate();
+            worker = null;
+        }
+        initialized = false;
+    }
+
+    // ========================
+    // PUBLIC API
+    // ========================
+
+    return {
+        id: 'meiki-worker',
+        name: 'MeikiOCR (background worker)',
+        init: init,
+        recognize: recognize,
+        terminate: terminate,
+        isSupported: isSupported,
+        getCacheStats: getCacheStats,
+        clearRegionCache: clearRegionCache,
+        isInitialized: () => initialized,
+
+        // The model cache is shared with the worker, so it can be managed from here
+        getModelCacheInfo: MeikiOCR.getModelCacheInfo,
+        clearModelCache: MeikiOCR.clearModelCache,
+
+        version: MeikiOCR.version
+    };
+
+})();
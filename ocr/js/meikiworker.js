@@ -0,0 +1,70 @@
+/**
+ * MeikiOCR Worker
+ *
+ * Runs the whole MeikiOCR pipeline (inference and canvas preprocessing) off
+ * the main thread. Frames arrive as transferable ImageBitmaps and all canvas
+ * work is done on OffscreenCanvas.
+ *
+ * Messages in:
+ *   {id, type: 'init', options}
+ *   {id, type: 'recognize', image, options}
+ *   {id, type: 'abort'}  (cancels the recognize request with that id)
+ *   {id, type: 'cacheStats'} / {id, type: 'clearCache'}  (region cache)
+ * Messages out:
+ *   {id, type: 'progress', stage, message}
+ *   {id, type: 'result', result}
+ *   {id, type: 'error', name, message}
+ */
+
+const ORT_DIST = 'https://cdn.jsdelivr.net/npm/onnxruntime-web@1.17.0/dist/';
+
+importScripts(ORT_DIST + 'ort.min.js', 'layout.js', 'preprocess.js', 'meikiocr.js');
+
+// ort.min.js cannot work out where its .wasm files live when loaded via importScripts
+ort.env.wasm.wasmPaths = ORT_DIST;
+
+// AbortSignals can't be posted, so each recognize request gets its own controller
+const controllers = new Map(); // id -> AbortController
+
+self.addEventListener('message', async (event) => {
+    const { id, type, image, options = {} } = event.data;
+    const { reportProgress = false, ...engineOptions } = options;
+
+    if (type === 'abort') {
+        const controller = controllers.get(id);
+        if (controller) controller.abort();
+        return;
+    }
+
+    const onProgress = reportProgress
+        ? (stage, message) => self.postMessage({ id, type: 'progress', stage, message })
+        : null;
+
+    try {
+        let result = null;
+
+        if (type === 'init') {
+            await MeikiOCR.init({ ...engineOptions, onProgress });
+        } else if (type === 'recognize') {
+            const controller = new AbortController();
+            controllers.set(id, controller);
+            try {
+                result = await MeikiOCR.recognize(image, { ...engineOptions, onProgress, signal: controller.signal });
+            } finally {
+                controllers.delete(id);
+                if (image && typeof image.close === 'function') image.close();
+            }
+        } else if (type === 'cacheStats') {
+            result = MeikiOCR.getCacheStats();
+        } else if (type === 'clearCache') {
+            MeikiOCR.clearRegionCache();
+        } else {
+            throw new Error(`Unknown message type: ${type}`);
+        }
+
+        self.postMessage({ id, type: 'result', result });
+
+    } catch (error) {
+        self.postMessage({ id, type: 'error', name: error.name, message: error.message });
+    }
+});
@@ -0,0 +1,207 @@
+/**
+ * Image Preprocessing
+ *
+ * Optional pixel operations applied before detection and recognition:
+ * 1. Inversion: turns dark-on-light text into light-on-dark, matching the
+ *    black padding the models are fed ('auto' only inverts light images)
+ * 2. Contrast normalization: stretches the 1st-99th luminance percentiles to full range
+ * 3. Binarization: Otsu threshold to pure black and white
+ *
+ * There is no upscaling step. Every recognition crop is resized to the
+ * model's fixed 32px line height and detection input to a fixed 640x640,
+ * so enlarging a small crop first changes nothing the model sees.
+ *
+ * Operates on ImageData-like objects ({data, width, height}) in place.
+ */
+
+const ImagePreprocess = (function() {
+    'use strict';
+
+    // ========================
+    // CONSTANTS
+    // ========================
+
+    const DEFAULTS = {
+        invert: 'off',      // 'off', 'auto' or 'always'
+        normalize: false,
+        binarize: false
+    };
+
+    const INVERT_MODES = ['off', 'auto', 'always'];
+
+    const NORMALIZE = {
+        LOW_PERCENTILE: 0.01,
+        HIGH_PERCENTILE: 0.99,
+        MIN_RANGE: 16         // skip near-flat images rather than amplify noise
+    };
+
+    // ========================
+    // HELPERS
+    // ========================
+
+    /**
+     * Fill in defaults and validate preprocessing options
+     * @param {Object|null} options - Partial options
+     * @returns {Object} - Complete options
+     */
+    function resolve(options) {
+        const result = { ...DEFAULTS, ...(options || {}) };
+        if (!INVERT_MODES.includes(result.invert)) {
+            throw new RangeError(`preprocess.invert must be one of ${INVERT_MODES.join(', ')}`);
+        }
+        result.normalize = !!result.normalize;
+        result.binarize = !!result.binarize;
+        return result;
+    }
+
+    /**
+     * Check whether any pixel operation is enabled
+     * @param {Object} options - Resolved options
+     * @returns {boolean}
+     */
+    function isActive(options) {
+        return options.invert !== 'off' || options.normalize || options.binarize;
+    }
+
+    /**
+     * Build a 256-bin luminance histogram
+     * @param {Uint8ClampedArray} data - RGBA pixels
+     * @returns {Object} - {histogram, mean}
+     */
+    function luminanceHistogram(data) {
+        const histogram = new Uint32Array(256);
+        let total = 0;
+        for (let i = 0; i < data.length; i += 4) {
+            const lum = Math.round(0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2]);
+            histogram[lum]++;
+            total += lum;
+        }
+        return { histogram, mean: total / (data.length / 4) };
+    }
+
+    /**
+     * Find the luminance value at a percentile of the histogram
+     * @param {Uint32Array} histogram - Luminance histogram
+     * @param {number} count - Total pixel count
+     * @param {number} percentile - 0-1
+     * @returns {number}
+     */
+    function percentileOf(histogram, count, percentile) {
+        const target = count * percentile;
+        let seen = 0;
+        for (let v = 0; v < 256; v++) {
+            seen += histogram[v];
+            if (seen >= target) return v;
+        }
+        return 255;
+    }
+
+    /**
+     * Otsu's threshold: the luminance split that maximizes between-class variance
+     * @param {Uint32Array} histogram - Luminance histogram
+     * @param {number} count - Total pixel count
+     * @returns {number}
+     */
+    function otsuThreshold(histogram, count) {
+        let sum = 0;
+        for (let v = 0; v < 256; v++) sum += v * histogram[v];
+
+        let sumBackground = 0;
+        let weightBackground = 0;
+        let bestVariance = -1;
+        let threshold = 127;
+
+        for (let v = 0; v < 256; v++) {
+            weightBackground += histogram[v];
+            if (weightBackground === 0) continue;
+            const weightForeground = count - weightBackground;
+            if (weightForeground === 0) break;
+
+            sumBackground += v * histogram[v];
+            const meanBackground = sumBackground / weightBackground;
+            const meanForeground = (sum - sumBackground) / weightForeground;
+            const variance = weightBackground * weightForeground * (meanBackground - meanForeground) ** 2;
+
+            if (variance > bestVariance) {
+                bestVariance = variance;
+                threshold = v;
+            }
+        }
+        return threshold;
+    }
+
+    // ========================
+    // PUBLIC METHODS
+    // ========================
+
+    /**
+     * Apply the pixel operations to an image in place
+     * @param {ImageData} imageData - Pixels to process
+     * @param {Object} options - Preprocessing options
+     * @returns {ImageData} - The same object, processed
+     */
+    function apply(imageData, options) {
+        const settings = resolve(options);
+        if (!isActive(settings)) return imageData;
+
+        const data = imageData.data;
+        const count = data.length / 4;
+
+        if (settings.invert !== 'off') {
+            const { mean } = luminanceHistogram(data);
+            if (settings.invert === 'always' || mean > 127) {
+                for (let i = 0; i < data.length; i += 4) {
+                    data[i] = 255 - data[i];
+                    data[i + 1] = 255 - data[i + 1];
+                    data[i + 2] = 255 - data[i + 2];
+                }
+            }
+        }
+
+        if (settings.normalize) {
+            const { histogram } = luminanceHistogram(data);
+            const low = percentileOf(histogram, count, NORMALIZE.LOW_PERCENTILE);
+            const high = percentileOf(histogram, count, NORMALIZE.HIGH_PERCENTILE);
+            if (high - low >= NORMALIZE.MIN_RANGE) {
+                const scale = 255 / (high - low);
+                for (let i = 0; i < data.length; i += 4) {
+                    data[i] = (data[i] - low) * scale;
+                    data[i + 1] = (data[i + 1] - low) * scale;
+                    data[i + 2] = (data[i + 2] - low) * scale;
+                }
+            }
+        }
+
+        if (settings.binarize) {
+            const { histogram } = luminanceHistogram(data);
+            const threshold = otsuThreshold(histogram, count);
+            for (let i = 0; i < data.length; i += 4) {
+                const lum = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+                const value = lum > threshold ? 255 : 0;
+                data[i] = value;
+                data[i + 1] = value;
+                data[i + 2] = value;
+            }
+        }
+
+        return imageData;
+    }
+
+    // ========================
+    // PUBLIC API
+    // ========================
+
+    return {
+        DEFAULTS: DEFAULTS,
+        INVERT_MODES: INVERT_MODES,
+        resolve: resolve,
+        isActive: (options) => isActive(resolve(options)),
+        apply: apply
+    };
+
+})();
+
+// Export for use as a module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ImagePreprocess;
+}
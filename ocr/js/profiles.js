@@ -0,0 +1,99 @@
+// Game Profiles Module
+// Settings that depend on the game being read (image preprocessing, text rules, ...),
+// stored as named profiles with one active at a time
+const Profiles = {
+    STORAGE_KEY: 'gameocr_profiles',
+    DEFAULT_ID: 'default',
+    defaults: {
+        preprocess: {
+            invert: 'off',
+            normalize: false,
+            binarize: false
+        },
+        ignoreRegions: [],        // HUD text kept out of captured lines, see hudfilter.js
+        captureRegions: [],       // Named parts of the capture OCR'd separately, see capture.js
+        watchRegion: null,        // Part of the capture change detection watches, null for all of it
+        learnStaticRegions: true,
+        outputMode: 'join',       // 'join' (one line), 'lines' or 'blocks' (one row each)
+        detection: null,          // Calibrated change detection thresholds, null for defaults, see detect.js
+        adaptiveDetection: false,
+        rules: null,              // Text rule override, null uses the global rules, see rules.js
+        corrections: [],          // Misreads learned from edited lines, see corrections.js
+        autoApplyCorrections: false
+    },
+
+    getState() {
+        const stored = localStorage.getItem(this.STORAGE_KEY);
+        const state = stored ? JSON.parse(stored) : {};
+        const profiles = state.profiles || {};
+        if (!profiles[this.DEFAULT_ID]) {
+            profiles[this.DEFAULT_ID] = { name: 'Default' };
+        }
+        const activeId = profiles[state.activeId] ? state.activeId : this.DEFAULT_ID;
+        return { activeId, profiles };
+    },
+
+    saveState(state) {
+        localStorage.setItem(this.STORAGE_KEY, JSON.stringify(state));
+    },
+
+    // All profiles as [{id, name}], default first
+    list() {
+        const { profiles } = this.getState();
+        return Object.entries(profiles).map(([id, profile]) => ({ id, name: profile.name }));
+    },
+
+    getActiveId() {
+        return this.getState().activeId;
+    },
+
+    // The active profile merged with defaults so all properties exist
+    // (defaults are copied so callers can't modify them through the result)
+    getActive() {
+        const { activeId, profiles } = this.getState();
+        return { ...JSON.parse(JSON.stringify(this.defaults)), ...profiles[activeId] };
+    },
+
+    // Read one setting from the active profile
+    get(key) {
+        return this.getActive()[key];
+    },
+
+    // Write one setting to the active profile
+    set(key, value) {
+        const state = this.getState();
+        state.profiles[state.activeId][key] = value;
+        this.saveState(state);
+    },
+
+    setActive(id) {
+        const state = this.getState();
+        if (!state.profiles[id]) return;
+        state.activeId = id;
+        this.saveState(state);
+    },
+
+    // Create a profile starting from the active one's settings and switch to it
+    // (the HUD ignore-list, capture and watch regions describe the old game's screen layout,
+    // and learned corrections its font, so they aren't copied)
+    create(name) {
+        const state = this.getState();
+        const id = `profile-${Date.now().toString(36)}`;
+        const { ignoreRegions, captureRegions, watchRegion, corrections, ...settings } = state.profiles[state.activeId];
+        state.profiles[id] = { ...settings, name };
+        state.activeId = id;
+        this.saveState(state);
+        return id;
+    },
+
+    // Delete a profile; the default profile can't be removed
+    remove(id) {
+        if (id === this.DEFAULT_ID) return;
+        const state = this.getState();
+        delete state.profiles[id];
+        if (state.activeId === id) {
+            state.activeId = this.DEFAULT_ID;
+        }
+        this.saveState(state);
+    }
+};
@@ -0,0 +1,232 @@
+// Review Tray Module
+// Holds lines recognized with low confidence (transition animations,
+// background art) instead of adding them to the text display. Each item
+// keeps a crop of the frame it was read from, and can be accepted (after
+// editing) or discarded. Items are kept in memory for the current page only.
+const ReviewTray = {
+    MAX_ITEMS: 20,
+    items: [],      // {text, speaker, confidence, image} where image is a data URL
+    recent: [],     // text of the last MAX_ITEMS queued lines, including ones since handled
+    button: null,
+
+    init() {
+        this.button = document.getElementById('reviewTrayButton');
+        this.button.addEventListener('click', () => this.show());
+        this.updateButton();
+    },
+
+    // Whether a line is in the tray or was queued recently, so garbage that
+    // stays on screen isn't queued again on every trigger
+    isKnown(text) {
+        return this.recent.some(recent => TextMatch.isSimilar(recent, text));
+    },
+
+    // Queue a line for review; the oldest item is dropped when the tray is full
+    add(item) {
+        this.items.push(item);
+        if (this.items.length > this.MAX_ITEMS) {
+            this.items.shift();
+        }
+        this.recent.push(item.text);
+        if (this.recent.length > this.MAX_ITEMS) {
+            this.recent.shift();
+        }
+        this.updateButton();
+    },
+
+    remove(item) {
+        this.items = this.items.filter(i => i !== item);
+        this.updateButton();
+    },
+
+    // The button is only shown while there is something to review
+    updateButton() {
+        this.button.textContent = `${this.items.length} to review`;
+        this.button.style.display = this.items.length > 0 ? 'block' : 'none';
+    },
+
+    // Crop of a line's box from a frame canvas, as a data URL
+    cropImage(frameCanvas, box) {
+        const padding = 4;
+        const x = Math.max(0, Math.floor(box[0]) - padding);
+        const y = Math.max(0, Math.floor(box[1]) - padding);
+        const width = Math.min(frameCanvas.width, Math.ceil(box[2]) + padding) - x;
+        const height = Math.min(frameCanvas.height, Math.ceil(box[3]) + padding) - y;
+        if (width <= 0 || height <= 0) return null;
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        canvas.getContext('2d').drawImage(frameCanvas, x, y, width, height, 0, 0, width, height);
+        return canvas.toDataURL('image/png');
+    },
+
+    // List queued lines with their crops; accept, edit or discard each one
+    show() {
+        let settings = { accentColor: '#2b2b2b', foregroundColor: '#ffffff', backgroundColor: '#000000' };
+        let borderColor = '#555';
+        let controlBackgroundColor = '#444';
+        if (window.Settings) {
+            settings = window.Settings.getSettings();
+            borderColor = window.Settings.getTintedBorderColor(settings.backgroundColor);
+            controlBackgroundColor = window.Settings.getTintedBorderColor(settings.accentColor);
+        }
+
+        const buttonStyle = `
+            padding: 6px 12px;
+            background: ${controlBackgroundColor};
+            color: ${settings.foregroundColor};
+            border: 1px solid ${borderColor};
+            border-radius: 4px;
+            font-size: 14px;
+            cursor: pointer;
+        `;
+
+        const overlay = document.createElement('div');
+        overlay.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            width: 100%;
+            height: 100%;
+            background: rgba(0, 0, 0, 0.9);
+            z-index: 999999;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            padding: 20px;
+            box-sizing: border-box;
+        `;
+
+        const container = document.createElement('div');
+        container.style.cssText = `
+            background: ${settings.accentColor};
+            border: 1px solid ${borderColor};
+            border-radius: 12px;
+            padding: 20px;
+            width: min(800px, 90vw);
+            max-height: 90vh;
+            display: flex;
+            flex-direction: column;
+            gap: 12px;
+            box-sizing: border-box;
+            color: ${settings.foregroundColor};
+            font-family: Arial, sans-serif;
+            font-size: 14px;
+        `;
+
+        const title = document.createElement('h2');
+        title.textContent = 'Low-Confidence Lines';
+        title.style.cssText = 'margin: 0; font-size: 20px; text-align: center;';
+
+        const list = document.createElement('div');
+        list.style.cssText = 'display: flex; flex-direction: column; gap: 12px; overflow-y: auto; min-height: 0;';
+
+        const close = () => overlay.remove();
+
+        const render = () => {
+            list.innerHTML = '';
+            if (this.items.length === 0) {
+                close();
+                return;
+            }
+
+            // Newest first
+            [...this.items].reverse().forEach(item => {
+                const row = document.createElement('div');
+                row.style.cssText = `
+                    display: flex;
+                    flex-direction: column;
+                    gap: 6px;
+                    padding: 10px;
+                    border: 1px solid ${borderColor};
+                    border-radius: 8px;
+                `;
+
+                if (item.image) {
+                    const image = document.createElement('img');
+                    image.src = item.image;
+                    image.style.cssText = 'max-width: 100%; max-height: 120px; object-fit: contain; align-self: flex-start;';
+                    row.appendChild(image);
+                }
+
+                const text = document.createElement('textarea');
+                text.rows = item.text.split('\n').length;
+                text.value = item.text;
+                text.style.cssText = `
+                    padding: 6px 8px;
+                    background: ${controlBackgroundColor};
+                    color: ${settings.foregroundColor};
+                    border: 1px solid ${borderColor};
+                    border-radius: 4px;
+                    font-size: 18px;
+                    font-family: inherit;
+                    resize: vertical;
+                `;
+                row.appendChild(text);
+
+                const footer = document.createElement('div');
+                footer.style.cssText = 'display: flex; gap: 8px; align-items: center;';
+
+                const info = document.createElement('span');
+                info.style.cssText = 'flex: 1; opacity: 0.7;';
+                const confidence = item.confidence === null ? 'unknown' : `${Math.round(item.confidence * 100)}%`;
+                info.textContent = item.speaker ? `${item.speaker} · confidence ${confidence}` : `Confidence ${confidence}`;
+                footer.appendChild(info);
+
+                const accept = document.createElement('button');
+                accept.textContent = 'Accept';
+                accept.style.cssText = buttonStyle;
+                accept.addEventListener('click', () => {
+                    const value = text.value.trim();
+                    if (value) {
+                        TextHookDisplay.addLine(item.speaker ? { speaker: item.speaker, text: value } : value);
+                    }
+                    this.remove(item);
+                    render();
+                });
+                footer.appendChild(accept);
+
+                const discard = document.createElement('button');
+                discard.textContent = 'Discard';
+                discard.style.cssText = buttonStyle;
+                discard.addEventListener('click', () => {
+                    this.remove(item);
+                    render();
+                });
+                footer.appendChild(discard);
+
+                row.appendChild(footer);
+                list.appendChild(row);
+            });
+        };
+
+        const buttonRow = document.createElement('div');
+        buttonRow.style.cssText = 'display: flex; gap: 8px; justify-content: center;';
+
+        const discardAll = document.createElement('button');
+        discardAll.textContent = 'Discard All';
+        discardAll.style.cssText = buttonStyle;
+        discardAll.addEventListener('click', () => {
+            this.items = [];
+            this.updateButton();
+            close();
+        });
+
+        const closeButton = document.createElement('button');
+        closeButton.textContent = 'Close';
+        closeButton.style.cssText = buttonStyle;
+        closeButton.addEventListener('click', close);
+
+        buttonRow.appendChild(discardAll);
+        buttonRow.appendChild(closeButton);
+
+        container.appendChild(title);
+        container.appendChild(list);
+        container.appendChild(buttonRow);
+        overlay.appendChild(container);
+        document.body.appendChild(overlay);
+
+        render();
+    }
+};
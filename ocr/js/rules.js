@@ -0,0 +1,432 @@
+// Text Rules Module
+// Ordered post-processing rules applied to every OCR line before it is shown.
+// Rule types:
+//   {type: 'replace', find, replace, regex}   Replace every match
+//   {type: 'strip', pattern}                  Remove a regex match at the start and end
+//   {type: 'balance', open, close}            Add a missing opening or closing bracket
+//   {type: 'drop', pattern, regex}            Discard the whole line if it matches
+// Every rule may also have `enabled: false`. Lines are trimmed after the
+// rules run and empty lines are discarded.
+// The global rule set applies to every game; a profile can override it.
+const TextRules = {
+    STORAGE_KEY: 'gameocr_rules',
+    EXPORT_VERSION: 1,
+
+    // Reproduces the original hard-coded filter
+    DEFAULT_RULES: [
+        { type: 'strip', pattern: '[\\x00-\\x7F]+' },
+        { type: 'replace', find: '」」', replace: '」', regex: false },
+        { type: 'replace', find: '「「', replace: '「', regex: false },
+        { type: 'replace', find: '(', replace: '（', regex: false },
+        { type: 'replace', find: ')', replace: '）', regex: false },
+        { type: 'balance', open: '「', close: '」' },
+        { type: 'balance', open: '（', close: '）' },
+        { type: 'replace', find: '―', replace: 'ー', regex: false }
+    ],
+
+    // Fields each rule type needs, with their editor labels
+    FIELDS: {
+        replace: [['find', 'Find'], ['replace', 'Replace with']],
+        strip: [['pattern', 'Regex']],
+        balance: [['open', 'Open'], ['close', 'Close']],
+        drop: [['pattern', 'Match']]
+    },
+
+    // Global rules (defaults if never saved)
+    getGlobalRules() {
+        const stored = localStorage.getItem(this.STORAGE_KEY);
+        return stored ? JSON.parse(stored) : JSON.parse(JSON.stringify(this.DEFAULT_RULES));
+    },
+
+    saveGlobalRules(rules) {
+        localStorage.setItem(this.STORAGE_KEY, JSON.stringify(rules));
+    },
+
+    // Rules for the active profile: its override if it has one, else the global rules
+    getActiveRules() {
+        return Profiles.get('rules') || this.getGlobalRules();
+    },
+
+    hasProfileOverride() {
+        return !!Profiles.get('rules');
+    },
+
+    // Check that rules are well-formed; throws with the first problem found
+    validateRules(rules) {
+        if (!Array.isArray(rules)) {
+            throw new Error('Rules must be an array');
+        }
+        rules.forEach((rule, i) => {
+            const fields = rule && this.FIELDS[rule.type];
+            if (!fields) {
+                throw new Error(`Rule ${i + 1}: unknown type "${rule && rule.type}"`);
+            }
+            for (const [field] of fields) {
+                if (typeof rule[field] !== 'string') {
+                    throw new Error(`Rule ${i + 1}: "${field}" must be a string`);
+                }
+            }
+            if (rule.type === 'strip' || rule.regex) {
+                try {
+                    new RegExp(rule.type === 'replace' ? rule.find : rule.pattern, 'u');
+                } catch (error) {
+                    throw new Error(`Rule ${i + 1}: invalid regex (${error.message})`);
+                }
+            }
+        });
+        return rules;
+    },
+
+    // Apply one rule; returns the new text, or null to drop the line
+    applyRule(rule, text) {
+        switch (rule.type) {
+            case 'replace': {
+                if (!rule.find) return text;
+                if (!rule.regex) return text.replaceAll(rule.find, rule.replace);
+                return text.replace(new RegExp(rule.find, 'gu'), rule.replace);
+            }
+            case 'strip': {
+                if (!rule.pattern) return text;
+                return text.replace(new RegExp(`^(?:${rule.pattern})|(?:${rule.pattern})$`, 'gu'), '');
+            }
+            case 'balance': {
+                const hasOpen = text.includes(rule.open);
+                const hasClose = text.includes(rule.close);
+                if (hasOpen && !hasClose) return text + rule.close;
+                if (!hasOpen && hasClose) return rule.open + text;
+                return text;
+            }
+            case 'drop': {
+                if (!rule.pattern) return text;
+                const matches = rule.regex ? new RegExp(rule.pattern, 'u').test(text) : text.includes(rule.pattern);
+                return matches ? null : text;
+            }
+            default:
+                return text;
+        }
+    },
+
+    // Run a rule list over a line; returns the cleaned line, or null if it was dropped or empty
+    apply(text, rules = this.getActiveRules()) {
+        let result = text;
+        for (const rule of rules) {
+            if (rule.enabled === false) continue;
+            try {
+                result = this.applyRule(rule, result);
+            } catch (error) {
+                console.warn('Skipping invalid text rule:', rule, error);
+                continue;
+            }
+            if (result === null) return null;
+        }
+        result = result.trim();
+        return result || null;
+    },
+
+    // Download rules as a JSON file
+    exportRules(rules, filename) {
+        const json = JSON.stringify({ version: this.EXPORT_VERSION, rules }, null, 2);
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    },
+
+    // Parse an exported file (or a bare rule array)
+    parseImport(json) {
+        const data = JSON.parse(json);
+        return this.validateRules(Array.isArray(data) ? data : data.rules);
+    },
+
+    // Modal editor for the global rules or the active profile's override
+    showEditor(onSave) {
+        let settings = { accentColor: '#2b2b2b', foregroundColor: '#ffffff', backgroundColor: '#000000' };
+        let borderColor = '#555';
+        let controlBackgroundColor = '#444';
+        if (window.Settings) {
+            settings = window.Settings.getSettings();
+            borderColor = window.Settings.getTintedBorderColor(settings.backgroundColor);
+            controlBackgroundColor = window.Settings.getTintedBorderColor(settings.accentColor);
+        }
+
+        const controlStyle = `
+            padding: 4px 8px;
+            background: ${controlBackgroundColor};
+            color: ${settings.foregroundColor};
+            border: 1px solid ${borderColor};
+            border-radius: 4px;
+            font-size: 13px;
+            font-family: inherit;
+            box-sizing: border-box;
+        `;
+        const buttonStyle = `
+            padding: 10px 20px;
+            background: ${controlBackgroundColor};
+            color: ${settings.foregroundColor};
+            border: 1px solid ${borderColor};
+            border-radius: 4px;
+            font-size: 14px;
+            cursor: pointer;
+        `;
+
+        // Edit a copy; nothing is stored until Save
+        let scope = this.hasProfileOverride() ? 'profile' : 'global';
+        let rules = JSON.parse(JSON.stringify(this.getActiveRules()));
+
+        const overlay = document.createElement('div');
+        overlay.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            width: 100%;
+            height: 100%;
+            background: rgba(0, 0, 0, 0.9);
+            z-index: 999999;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            padding: 20px;
+            box-sizing: border-box;
+        `;
+
+        const container = document.createElement('div');
+        container.style.cssText = `
+            background: ${settings.accentColor};
+            border: 1px solid ${borderColor};
+            border-radius: 12px;
+            padding: 20px;
+            width: min(900px, 90vw);
+            max-height: 90vh;
+            display: flex;
+            flex-direction: column;
+            gap: 12px;
+            box-sizing: border-box;
+            color: ${settings.foregroundColor};
+            font-family: Arial, sans-serif;
+            font-size: 14px;
+        `;
+
+        const title = document.createElement('h2');
+        title.textContent = 'Text Rules';
+        title.style.cssText = 'margin: 0; font-size: 20px; text-align: center;';
+
+        // Which rule set is being edited
+        const scopeRow = document.createElement('div');
+        scopeRow.style.cssText = 'display: flex; gap: 8px; align-items: center; flex-wrap: wrap;';
+        const scopeLabel = document.createElement('label');
+        scopeLabel.textContent = 'Rules used by this profile:';
+        const scopeSelect = document.createElement('select');
+        scopeSelect.style.cssText = controlStyle;
+        [
+            ['global', 'Global rules (all games)'],
+            ['profile', `Override for "${Profiles.getActive().name}"`]
+        ].forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            scopeSelect.appendChild(option);
+        });
+        scopeSelect.value = scope;
+        scopeSelect.addEventListener('change', () => {
+            scope = scopeSelect.value;
+            // Going back to global shows the global rules; an override starts from what is shown
+            if (scope === 'global') {
+                rules = this.getGlobalRules();
+                renderRules();
+            }
+        });
+        scopeRow.appendChild(scopeLabel);
+        scopeRow.appendChild(scopeSelect);
+
+        const list = document.createElement('div');
+        list.style.cssText = 'display: flex; flex-direction: column; gap: 6px; overflow-y: auto; min-height: 0; flex: 1;';
+
+        const errorText = document.createElement('div');
+        errorText.style.cssText = 'color: #ff7b72; min-height: 1em;';
+
+        // Live test box
+        const testRow = document.createElement('div');
+        testRow.style.cssText = 'display: grid; grid-template-columns: 1fr 1fr; gap: 8px;';
+        const testInput = document.createElement('input');
+        testInput.type = 'text';
+        testInput.placeholder = 'Test line, e.g. 「「テスト―」';
+        testInput.style.cssText = controlStyle;
+        const testOutput = document.createElement('div');
+        testOutput.style.cssText = controlStyle + 'min-height: 2em;';
+        testRow.appendChild(testInput);
+        testRow.appendChild(testOutput);
+
+        const updateTest = () => {
+            try {
+                this.validateRules(rules);
+                errorText.textContent = '';
+            } catch (error) {
+                errorText.textContent = error.message;
+            }
+            if (!testInput.value) {
+                testOutput.textContent = '';
+                return;
+            }
+            const result = this.apply(testInput.value, rules);
+            testOutput.textContent = result === null ? '(line dropped)' : result;
+        };
+        testInput.addEventListener('input', updateTest);
+
+        const renderRules = () => {
+            list.innerHTML = '';
+            rules.forEach((rule, index) => {
+                const row = document.createElement('div');
+                row.style.cssText = 'display: flex; gap: 6px; align-items: center; flex-wrap: wrap;';
+
+                const enabled = document.createElement('input');
+                enabled.type = 'checkbox';
+                enabled.checked = rule.enabled !== false;
+                enabled.title = 'Enabled';
+                enabled.addEventListener('change', () => {
+                    rule.enabled = enabled.checked;
+                    updateTest();
+                });
+                row.appendChild(enabled);
+
+                const typeSelect = document.createElement('select');
+                typeSelect.style.cssText = controlStyle;
+                typeSelect.innerHTML = `
+                    <option value="replace">Replace</option>
+                    <option value="strip">Strip edges</option>
+                    <option value="balance">Balance brackets</option>
+                    <option value="drop">Drop line if</option>
+                `;
+                typeSelect.value = rule.type;
+                typeSelect.addEventListener('change', () => {
+                    const fresh = { type: typeSelect.value, enabled: rule.enabled };
+                    this.FIELDS[fresh.type].forEach(([field]) => { fresh[field] = ''; });
+                    if (fresh.type === 'replace' || fresh.type === 'drop') fresh.regex = false;
+                    rules[index] = fresh;
+                    renderRules();
+                });
+                row.appendChild(typeSelect);
+
+                this.FIELDS[rule.type].forEach(([field, label]) => {
+                    const input = document.createElement('input');
+                    input.type = 'text';
+                    input.placeholder = label;
+                    input.value = rule[field];
+                    input.style.cssText = controlStyle + 'flex: 1; min-width: 80px;';
+                    input.addEventListener('input', () => {
+                        rule[field] = input.value;
+                        updateTest();
+                    });
+                    row.appendChild(input);
+                });
+
+                if (rule.type === 'replace' || rule.type === 'drop') {
+                    const regexLabel = document.createElement('label');
+                    const regex = document.createElement('input');
+                    regex.type = 'checkbox';
+                    regex.checked = !!rule.regex;
+                    regex.addEventListener('change', () => {
+                        rule.regex = regex.checked;
+                        updateTest();
+                    });
+                    regexLabel.appendChild(regex);
+                    regexLabel.appendChild(document.createTextNode(' Regex'));
+                    row.appendChild(regexLabel);
+                }
+
+                const addRowButton = (text, titleText, onClick) => {
+                    const button = document.createElement('button');
+                    button.textContent = text;
+                    button.title = titleText;
+                    button.style.cssText = controlStyle + 'cursor: pointer;';
+                    button.addEventListener('click', onClick);
+                    row.appendChild(button);
+                };
+                addRowButton('↑', 'Move up', () => {
+                    if (index === 0) return;
+                    [rules[index - 1], rules[index]] = [rules[index], rules[index - 1]];
+                    renderRules();
+                });
+                addRowButton('↓', 'Move down', () => {
+                    if (index === rules.length - 1) return;
+                    [rules[index + 1], rules[index]] = [rules[index], rules[index + 1]];
+                    renderRules();
+                });
+                addRowButton('✕', 'Delete rule', () => {
+                    rules.splice(index, 1);
+                    renderRules();
+                });
+
+                list.appendChild(row);
+            });
+            updateTest();
+        };
+
+        // Import file picker
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = 'application/json,.json';
+        fileInput.style.display = 'none';
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files[0];
+            fileInput.value = '';
+            if (!file) return;
+            try {
+                rules = this.parseImport(await file.text());
+                renderRules();
+            } catch (error) {
+                errorText.textContent = `Import failed: ${error.message}`;
+            }
+        });
+
+        const buttonRow = document.createElement('div');
+        buttonRow.style.cssText = 'display: flex; gap: 8px; justify-content: center; flex-wrap: wrap;';
+        const addButton = (text, onClick) => {
+            const button = document.createElement('button');
+            button.textContent = text;
+            button.style.cssText = buttonStyle;
+            button.addEventListener('click', onClick);
+            buttonRow.appendChild(button);
+        };
+
+        addButton('Add Rule', () => {
+            rules.push({ type: 'replace', find: '', replace: '', regex: false });
+            renderRules();
+        });
+        addButton('Reset to Defaults', () => {
+            rules = JSON.parse(JSON.stringify(this.DEFAULT_RULES));
+            renderRules();
+        });
+        addButton('Import', () => fileInput.click());
+        addButton('Export', () => this.exportRules(rules, 'ocr-text-rules.json'));
+        addButton('Save', () => {
+            try {
+                this.validateRules(rules);
+            } catch (error) {
+                errorText.textContent = error.message;
+                return;
+            }
+            if (scope === 'profile') {
+                Profiles.set('rules', rules);
+            } else {
+                Profiles.set('rules', null);
+                this.saveGlobalRules(rules);
+            }
+            overlay.remove();
+            if (onSave) onSave();
+        });
+        addButton('Cancel', () => overlay.remove());
+
+        container.appendChild(title);
+        container.appendChild(scopeRow);
+        container.appendChild(list);
+        container.appendChild(errorText);
+        container.appendChild(testRow);
+        container.appendChild(buttonRow);
+        container.appendChild(fileInput);
+        overlay.appendChild(container);
+        document.body.appendChild(overlay);
+
+        renderRules();
+    }
+};
@@ -10,9 +10,20 @@ const Settings = {
         foregroundColor: '#deddda',
             backgroundColor: '#000000',
             accentColor: '#101828',
-            blurStats: false
+            blurStats: false,
+        repeatedLines: 'dim',
+        ocrEngine: 'meiki-worker',
+        ocrEndpoint: 'http://localhost:7331/ocr',
+        detectConfidence: 0.3,
+        recognizeConfidence: 0.1,
+        xOverlap: 0.3,
+        wasmThreads: 24,
+        minLineConfidence: 0
     },
 
+    // Numeric OCR inputs, validated against the ranges MeikiOCR accepts
+    OCR_INPUTS: ['detectConfidence', 'recognizeConfidence', 'xOverlap', 'wasmThreads', 'minLineConfidence'],
+
     init() {
         this.popup = document.getElementById('settingsPopup');
         this.icon = document.getElementById('settingsIcon');
@@ -27,6 +38,9 @@ const Settings = {
         });
 
         // Load settings and set up event listeners
+        this.applyOcrLimits();
+        this.populateEngineOptions();
+        this.populateProfileOptions();
         this.loadSettings();
         this.setupEventListeners();
         this.applySettings();
@@ -52,6 +66,133 @@ const Settings = {
         document.getElementById('backgroundColor').value = settings.backgroundColor;
         document.getElementById('accentColor').value = settings.accentColor;
         document.getElementById('blurStats').checked = settings.blurStats;
+        document.getElementById('repeatedLines').value = settings.repeatedLines;
+        document.getElementById('ocrEngine').value = settings.ocrEngine;
+        document.getElementById('ocrEndpoint').value = settings.ocrEndpoint;
+        this.OCR_INPUTS.forEach(id => {
+            document.getElementById(id).value = settings[id];
+        });
+        this.updateEngineFields(settings.ocrEngine);
+        this.loadProfileSettings();
+    },
+
+    // Show the active game profile's settings
+    loadProfileSettings() {
+        const profile = Profiles.getActive();
+        document.getElementById('profileSelect').value = Profiles.getActiveId();
+        document.getElementById('deleteProfileButton').disabled = Profiles.getActiveId() === Profiles.DEFAULT_ID;
+        document.getElementById('preprocessInvert').value = profile.preprocess.invert;
+        document.getElementById('preprocessNormalize').checked = profile.preprocess.normalize;
+        document.getElementById('preprocessBinarize').checked = profile.preprocess.binarize;
+        document.getElementById('learnStaticRegions').checked = profile.learnStaticRegions;
+        document.getElementById('outputMode').value = profile.outputMode;
+        document.getElementById('adaptiveDetection').checked = profile.adaptiveDetection;
+        document.getElementById('detectionThresholds').textContent = profile.detection
+            ? `calibrated (change ${profile.detection.changeThreshold}, stable ${profile.detection.lowChangeThreshold}, pixel ${profile.detection.pixelDiffThreshold})`
+            : 'default';
+        this.applyDetectionSettings();
+        document.getElementById('ignoredRegionCount').textContent = profile.ignoreRegions.length;
+        document.getElementById('textRulesSource').textContent = profile.rules ? 'Profile override' : 'Global';
+        document.getElementById('autoApplyCorrections').checked = profile.autoApplyCorrections;
+        document.getElementById('correctionCount').textContent = profile.corrections.length;
+        document.getElementById('suggestedCorrectionCount').textContent = Corrections.getSuggestedCount();
+    },
+
+    // Give the change detector the active profile's thresholds and watch region
+    applyDetectionSettings() {
+        const detector = window.ChangeDetector;
+        if (!detector || typeof detector.configure !== 'function') return;
+        detector.configure(Profiles.get('detection'), Profiles.get('adaptiveDetection'));
+
+        const watchRegion = Profiles.get('watchRegion');
+        if (JSON.stringify(watchRegion) !== JSON.stringify(detector.watchRegion)) {
+            detector.setWatchRegion(watchRegion);
+        }
+    },
+
+    // Fill the profile dropdown from saved profiles
+    populateProfileOptions() {
+        const select = document.getElementById('profileSelect');
+        select.innerHTML = '';
+        Profiles.list().forEach(profile => {
+            const option = document.createElement('option');
+            option.value = profile.id;
+            option.textContent = profile.name;
+            select.appendChild(option);
+        });
+    },
+
+    updateProfileSetting() {
+        Profiles.set('preprocess', {
+            invert: document.getElementById('preprocessInvert').value,
+            normalize: document.getElementById('preprocessNormalize').checked,
+            binarize: document.getElementById('preprocessBinarize').checked
+        });
+        Profiles.set('learnStaticRegions', document.getElementById('learnStaticRegions').checked);
+        Profiles.set('outputMode', document.getElementById('outputMode').value);
+        Profiles.set('adaptiveDetection', document.getElementById('adaptiveDetection').checked);
+        this.applyDetectionSettings();
+        Profiles.set('autoApplyCorrections', document.getElementById('autoApplyCorrections').checked);
+    },
+
+    // Fill the engine dropdown from the OCR engine registry
+    populateEngineOptions() {
+        if (typeof OCREngines === 'undefined') return;
+
+        const select = document.getElementById('ocrEngine');
+        select.innerHTML = '';
+        OCREngines.list().forEach(engine => {
+            const option = document.createElement('option');
+            option.value = engine.id;
+            option.textContent = engine.name;
+            select.appendChild(option);
+        });
+    },
+
+    // Only show the endpoint field for the local server engine
+    updateEngineFields(engineId) {
+        document.getElementById('ocrEndpointGroup').style.display = engineId === 'http' ? '' : 'none';
+    },
+
+    // Use the engine's own threshold ranges for the OCR inputs
+    applyOcrLimits() {
+        if (typeof MeikiOCR === 'undefined' || !MeikiOCR.limits) return;
+
+        const ranges = { ...MeikiOCR.limits.thresholds, wasmThreads: MeikiOCR.limits.wasmThreads };
+        this.OCR_INPUTS.forEach(id => {
+            const range = ranges[id];
+            if (!range) return;
+            const input = document.getElementById(id);
+            input.min = range.MIN;
+            input.max = range.MAX;
+            this.defaults[id] = range.DEFAULT;
+        });
+    },
+
+    // Read a numeric input clamped to its min/max, or the fallback if it isn't a number
+    readNumberInput(id, fallback, parse = parseFloat) {
+        const input = document.getElementById(id);
+        const value = parse(input.value);
+        if (!Number.isFinite(value)) {
+            return fallback;
+        }
+        return Math.min(parseFloat(input.max), Math.max(parseFloat(input.min), value));
+    },
+
+    // Options for the OCR engine's init / recognize
+    getOcrOptions() {
+        const settings = this.getSettings();
+        return {
+            engine: settings.ocrEngine,
+            endpoint: settings.ocrEndpoint,
+            thresholds: {
+                detectConfidence: settings.detectConfidence,
+                recognizeConfidence: settings.recognizeConfidence,
+                xOverlap: settings.xOverlap
+            },
+            wasmThreads: settings.wasmThreads,
+            preprocess: Profiles.get('preprocess')
+        };
     },
 
     setupEventListeners() {
@@ -70,17 +211,135 @@ const Settings = {
         backgroundColorInput.addEventListener('input', () => this.updateSetting());
         accentColorInput.addEventListener('input', () => this.updateSetting());
         blurStatsCheckbox.addEventListener('change', () => this.updateSetting());
+        document.getElementById('repeatedLines').addEventListener('change', () => this.updateSetting());
+
+        document.getElementById('ocrEngine').addEventListener('change', () => {
+            this.updateSetting();
+            this.updateEngineFields(document.getElementById('ocrEngine').value);
+        });
+        document.getElementById('ocrEndpoint').addEventListener('change', () => this.updateSetting());
+
+        document.getElementById('clearModelsButton').addEventListener('click', async () => {
+            const confirmed = confirm('Delete the downloaded OCR models? They will be downloaded again the next time OCR starts.');
+            if (!confirmed) return;
+            await MeikiOCR.clearModelCache();
+            this.refreshModelCacheInfo();
+        });
+
+        document.getElementById('profileSelect').addEventListener('change', (e) => {
+            Profiles.setActive(e.target.value);
+            HudFilter.resetLearning();
+            this.loadProfileSettings();
+        });
+
+        document.getElementById('newProfileButton').addEventListener('click', () => {
+            const name = prompt('Name for the new profile (e.g. the game title):');
+            if (!name || !name.trim()) return;
+            Profiles.create(name.trim());
+            HudFilter.resetLearning();
+            this.populateProfileOptions();
+            this.loadProfileSettings();
+        });
+
+        document.getElementById('deleteProfileButton').addEventListener('click', () => {
+            const id = Profiles.getActiveId();
+            const name = Profiles.getActive().name;
+            if (!confirm(`Delete the profile "${name}"?`)) return;
+            Profiles.remove(id);
+            HudFilter.resetLearning();
+            this.populateProfileOptions();
+            this.loadProfileSettings();
+        });
+
+        document.getElementById('clearIgnoredRegionsButton').addEventListener('click', () => {
+            if (!confirm('Clear all ignored regions for this profile?')) return;
+            HudFilter.clear();
+            this.loadProfileSettings();
+        });
+
+        document.getElementById('editTextRulesButton').addEventListener('click', () => {
+            TextRules.showEditor(() => this.loadProfileSettings());
+        });
+
+        document.getElementById('calibrateDetectionButton').addEventListener('click', async (e) => {
+            const detector = window.ChangeDetector;
+            if (!detector || !detector.isRunning()) {
+                alert('Connect to a window first.');
+                return;
+            }
+            if (!confirm('Leave the game idle (no new text) for 5 seconds while change detection measures background animation. Start?')) return;
+
+            const button = e.currentTarget;
+            button.disabled = true;
+            button.textContent = 'Calibrating...';
+            try {
+                const proposal = await detector.calibrate(5000);
+                console.log('Calibration result:', proposal);
+                const { changeThreshold, lowChangeThreshold, pixelDiffThreshold } = proposal;
+                const message = `Measured noise: ${(proposal.noiseFloor * 100).toFixed(2)}% of pixels.\n` +
+                    `Proposed thresholds: change ${changeThreshold}, stable ${lowChangeThreshold}, pixel ${pixelDiffThreshold}.\n` +
+                    'Save them for this profile?';
+                if (confirm(message)) {
+                    Profiles.set('detection', { changeThreshold, lowChangeThreshold, pixelDiffThreshold });
+                }
+            } catch (error) {
+                alert(`Calibration failed: ${error.message}`);
+            } finally {
+                button.disabled = false;
+                button.textContent = 'Calibrate Change Detection';
+                this.loadProfileSettings();
+            }
+        });
+
+        document.getElementById('resetDetectionButton').addEventListener('click', () => {
+            Profiles.set('detection', null);
+            this.loadProfileSettings();
+        });
+
+        document.getElementById('reviewCorrectionsButton').addEventListener('click', () => {
+            Corrections.showReview(() => this.loadProfileSettings());
+        });
+
+        ['preprocessInvert', 'preprocessNormalize', 'preprocessBinarize', 'learnStaticRegions', 'autoApplyCorrections', 'outputMode', 'adaptiveDetection'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.updateProfileSetting());
+        });
+
+        document.getElementById('clearRegionCacheButton').addEventListener('click', async () => {
+            const engine = OCREngines.get(this.getSettings().ocrEngine);
+            if (engine && typeof engine.clearRegionCache === 'function') {
+                await engine.clearRegionCache();
+            }
+            this.refreshRegionCacheStats();
+        });
+
+        // OCR values are validated on commit and the clamped value written back
+        this.OCR_INPUTS.forEach(id => {
+            document.getElementById(id).addEventListener('change', () => {
+                this.updateSetting();
+                this.loadSettings();
+            });
+        });
     },
 
     updateSetting() {
+        const current = this.getSettings();
         const settings = {
+            ...current,
             fontFamily: document.getElementById('fontFamily').value,
             fontSize: parseInt(document.getElementById('fontSize').value),
             lineSpacing: parseFloat(document.getElementById('lineSpacing').value),
             foregroundColor: document.getElementById('foregroundColor').value,
                 backgroundColor: document.getElementById('backgroundColor').value,
                 accentColor: document.getElementById('accentColor').value,
-                blurStats: document.getElementById('blurStats').checked
+                blurStats: document.getElementById('blurStats').checked,
+            repeatedLines: document.getElementById('repeatedLines').value,
+            ocrEngine: document.getElementById('ocrEngine').value || current.ocrEngine,
+            ocrEndpoint: document.getElementById('ocrEndpoint').value.trim() || this.defaults.ocrEndpoint,
+            detectConfidence: this.readNumberInput('detectConfidence', current.detectConfidence),
+            recognizeConfidence: this.readNumberInput('recognizeConfidence', current.recognizeConfidence),
+            xOverlap: this.readNumberInput('xOverlap', current.xOverlap),
+            wasmThreads: this.readNumberInput('wasmThreads', current.wasmThreads, v => parseInt(v, 10)),
+            minLineConfidence: this.readNumberInput('minLineConfidence', current.minLineConfidence)
         };
         this.saveSettings(settings);
         this.applySettings();
@@ -139,20 +398,20 @@ const Settings = {
             label.style.color = settings.foregroundColor;
         });
 
-        const inputs = settingsPopup.querySelectorAll('select, input[type="number"], input[type="color"]');
+        const inputs = settingsPopup.querySelectorAll('select, input[type="number"], input[type="text"], input[type="color"]');
         inputs.forEach(input => {
             input.style.backgroundColor = controlBackgroundColor;
             input.style.color = settings.foregroundColor;
             input.style.borderColor = borderColor;
         });
 
-        // Style reset button
-        const resetButton = settingsPopup.querySelector('#resetSessionButton');
-        if (resetButton) {
-            resetButton.style.backgroundColor = controlBackgroundColor;
-            resetButton.style.color = settings.foregroundColor;
-            resetButton.style.borderColor = borderColor;
-        }
+        // Style buttons
+        const buttons = settingsPopup.querySelectorAll('button');
+        buttons.forEach(button => {
+            button.style.backgroundColor = controlBackgroundColor;
+            button.style.color = settings.foregroundColor;
+            button.style.borderColor = borderColor;
+        });
 
         // Update line spacing and colors for all text lines
         const textLines = document.querySelectorAll('.text-line');
@@ -169,6 +428,60 @@ const Settings = {
 
     toggle() {
         this.popup.classList.toggle('visible');
+        if (this.popup.classList.contains('visible')) {
+            this.loadProfileSettings();
+            this.refreshModelCacheInfo();
+            this.refreshRegionCacheStats();
+            this.refreshChangeDetectorStats();
+        }
+    },
+
+    // Show how much space downloaded OCR models take up
+    async refreshModelCacheInfo() {
+        const label = document.getElementById('modelCacheSize');
+        if (typeof MeikiOCR === 'undefined') return;
+
+        try {
+            const info = await MeikiOCR.getModelCacheInfo();
+            label.textContent = `${(info.totalBytes / (1024 * 1024)).toFixed(1)} MB (${info.models.length} file(s))`;
+        } catch (error) {
+            console.warn('Failed to read model cache:', error);
+            label.textContent = 'unavailable';
+        }
+    },
+
+    // Show how often the selected engine reused recognized regions
+    async refreshRegionCacheStats() {
+        const label = document.getElementById('regionCacheStats');
+        const engine = typeof OCREngines === 'undefined' ? null : OCREngines.get(this.getSettings().ocrEngine);
+        if (!engine || typeof engine.getCacheStats !== 'function') {
+            label.textContent = 'not used by this engine';
+            return;
+        }
+
+        try {
+            const stats = await engine.getCacheStats();
+            label.textContent = stats
+                ? `${stats.hits} hit(s), ${stats.misses} miss(es) (${Math.round(stats.hitRate * 100)}%)`
+                : '-';
+        } catch (error) {
+            console.warn('Failed to read region cache stats:', error);
+            label.textContent = 'unavailable';
+        }
+    },
+
+    // Show the CPU time change detection spends per check
+    refreshChangeDetectorStats() {
+        const label = document.getElementById('changeDetectorStats');
+        const detector = window.ChangeDetector;
+        if (!detector || typeof detector.isRunning !== 'function' || !detector.isRunning()) {
+            label.textContent = 'not running';
+            return;
+        }
+
+        const stats = detector.getTimingStats();
+        const fps = stats.fps ? `, ${stats.fps} fps` : '';
+        label.textContent = `${stats.avgCheckMs} ms/check, ${stats.checksPerSecond} checks/s (${stats.cpuPercent}% CPU${fps})`;
     },
 
     show() {
@@ -2,6 +2,7 @@
 const TextHookDisplay = {
     STORAGE_KEY: 'gameocr_text_lines',
     container: null,
+    index: null,    // Fuzzy index of this session's lines, see textmatch.js
 
     init() {
         this.container = document.getElementById('textHookDisplay');
@@ -19,8 +20,33 @@ const TextHookDisplay = {
         localStorage.setItem(this.STORAGE_KEY, JSON.stringify(lines));
     },
 
-    // Add a new line
-    addLine(text) {
+    // Text of a stored line: plain strings, or {speaker, text, repeat} from
+    // named capture regions and lines already read this session
+    lineText(line) {
+        return typeof line === 'string' ? line : line.text;
+    },
+
+    // Lines re-read from a backlog or replayed scene are shown dimmed and not counted
+    isRepeat(line) {
+        return typeof line !== 'string' && !!line.repeat;
+    },
+
+    // Index every line of the session for repeat detection
+    buildIndex(lines = this.getLines()) {
+        this.index = TextMatch.createIndex();
+        lines.forEach(line => TextMatch.addToIndex(this.index, this.lineText(line)));
+    },
+
+    // Earlier line of this session similar to `text`, or null.
+    // `ignoreLast` skips the last line, e.g. when `text` is about to replace it.
+    findRepeat(text, ignoreLast = false) {
+        const excludeId = ignoreLast ? this.index.lines.length - 1 : -1;
+        const id = TextMatch.findSimilar(this.index, text, excludeId);
+        return id === -1 ? null : this.index.lines[id];
+    },
+
+    // Add a new line (a string, or {speaker, text})
+    addLine(line) {
         // Check if timer is running
         if (window.Timer && !window.Timer.isRunning) {
             this.flashBackground();
@@ -28,9 +54,10 @@ const TextHookDisplay = {
         }
 
         const lines = this.getLines();
-        lines.push(text);
+        lines.push(line);
         this.saveLines(lines);
-        this.renderLine(text, true);
+        TextMatch.addToIndex(this.index, this.lineText(line));
+        this.renderLine(line, true);
         this.scrollToBottom();
 
         // Update timer display and notify line added
@@ -40,6 +67,40 @@ const TextHookDisplay = {
         }
     },
 
+    // Replace the most recent line with a longer read of it (text revealed a
+    // few characters at a time). Adds the line instead if the last line is no
+    // longer `previousText`, e.g. after it was edited or deleted.
+    replaceLastLine(previousText, line) {
+        const lines = this.getLines();
+        const last = lines.at(-1);
+        if (last === undefined || this.lineText(last) !== previousText) {
+            this.addLine(line);
+            return;
+        }
+
+        if (window.Timer && !window.Timer.isRunning) {
+            this.flashBackground();
+            return;
+        }
+
+        // The speaker may only have been read with the first part of the line
+        if (typeof line === 'string' && typeof last !== 'string' && last.speaker) {
+            line = { speaker: last.speaker, text: line };
+        }
+
+        lines[lines.length - 1] = line;
+        this.saveLines(lines);
+        this.buildIndex(lines);
+        this.container.lastElementChild.remove();
+        this.renderLine(line);
+        this.scrollToBottom();
+
+        if (window.Timer) {
+            window.Timer.updateDisplay();
+            window.Timer.notifyLineAdded();
+        }
+    },
+
     // Flash background when trying to add line with timer stopped
     flashBackground() {
         const body = document.body;
@@ -98,6 +159,7 @@ const TextHookDisplay = {
     // Clear all lines
     clearAll() {
         this.saveLines([]);
+        this.buildIndex([]);
         this.container.innerHTML = '';
 
         // Update timer display if available
@@ -107,11 +169,27 @@ const TextHookDisplay = {
     },
 
     // Render a single line to the DOM
-    renderLine(text, animate = false) {
+    renderLine(line, animate = false) {
         const lineDiv = document.createElement('div');
         lineDiv.className = animate ? 'text-line text-line-new' : 'text-line';
-        lineDiv.textContent = text;
-        lineDiv.contentEditable = true;
+        if (this.isRepeat(line)) {
+            lineDiv.classList.add('text-line-repeat');
+            lineDiv.title = 'Already read this session';
+        }
+
+        // Speaker label above the text; only the text itself is editable
+        if (typeof line !== 'string' && line.speaker) {
+            const speakerLabel = document.createElement('div');
+            speakerLabel.className = 'text-line-speaker';
+            speakerLabel.textContent = line.speaker;
+            lineDiv.appendChild(speakerLabel);
+        }
+
+        const textElement = document.createElement('div');
+        textElement.className = 'text-line-text';
+        textElement.textContent = this.lineText(line);
+        textElement.contentEditable = true;
+        lineDiv.appendChild(textElement);
 
         // Apply current line spacing setting and border color
         if (window.Settings) {
@@ -121,15 +199,15 @@ const TextHookDisplay = {
         }
 
         // Save changes when line loses focus
-        lineDiv.addEventListener('blur', () => {
+        textElement.addEventListener('blur', () => {
             this.saveLineEdit(lineDiv);
         });
 
-        // Prevent line breaks when pressing Enter
-        lineDiv.addEventListener('keydown', (e) => {
-            if (e.key === 'Enter') {
+        // Enter saves; Shift+Enter adds a line break
+        textElement.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && !e.shiftKey) {
                 e.preventDefault();
-                lineDiv.blur(); // Unfocus to save
+                textElement.blur(); // Unfocus to save
             }
         });
 
@@ -142,14 +220,22 @@ const TextHookDisplay = {
         const lineIndex = Array.from(this.container.children).indexOf(lineDiv);
 
         if (lineIndex >= 0 && lineIndex < lines.length) {
-            const newText = lineDiv.textContent.trim();
+            const line = lines[lineIndex];
+            // innerText keeps line breaks of multi-line entries
+            const newText = lineDiv.querySelector('.text-line-text').innerText.trim();
 
             // Only save if text actually changed
-            if (newText !== lines[lineIndex]) {
-                lines[lineIndex] = newText;
+            if (newText !== this.lineText(line)) {
+                lines[lineIndex] = typeof line === 'string' ? newText : { ...line, text: newText };
                 this.saveLines(lines);
+                this.buildIndex(lines);
                 console.log(`Line ${lineIndex} edited and saved`);
 
+                // Learn the fix so it can be applied to future OCR output
+                if (window.Corrections) {
+                    window.Corrections.learn(this.lineText(line), newText);
+                }
+
                 // Update timer display to reflect new character count
                 if (window.Timer) {
                     window.Timer.updateDisplay();
@@ -162,6 +248,7 @@ const TextHookDisplay = {
     loadAndRender() {
         this.container.innerHTML = '';
         const lines = this.getLines();
+        this.buildIndex(lines);
         lines.forEach(line => this.renderLine(line));
         this.scrollToBottom();
     },
@@ -174,13 +261,13 @@ const TextHookDisplay = {
         });
     },
 
-    // Get statistics about the text
+    // Get statistics about the text (repeated lines aren't counted)
     getStats() {
         const NOT_JAPANESE_REGEX = /[^0-9A-Z○◯々-〇〻ぁ-ゖゝ-ゞァ-ヺー０-９Ａ-Ｚｦ-ﾝ\p{Radical}\p{Unified_Ideograph}]+/gimu;
 
-        const lines = this.getLines();
+        const lines = this.getLines().filter(line => !this.isRepeat(line));
         const totalChars = lines.reduce((sum, line) => {
-            const filteredText = line.replace(NOT_JAPANESE_REGEX, '');
+            const filteredText = this.lineText(line).replace(NOT_JAPANESE_REGEX, '');
             return sum + filteredText.length;
         }, 0);
 
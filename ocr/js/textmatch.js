@@ -0,0 +1,101 @@
+// Text Match Module
+// Fuzzy comparison of OCR lines, used to merge lines revealed a few
+// characters at a time and to catch re-reads of lines already shown
+const TextMatch = {
+    SIMILAR: 0.8,               // similarity at which two lines count as the same line
+    MIN_SHARED_BIGRAMS: 0.5,    // Dice overlap an indexed line needs before it is compared in full
+    MIN_STEM: 2,                // characters a partial line needs before it can be continued
+    CLOSING_BRACKETS: /[」』）)】]+$/u, // may have been added to a partial line by a balance rule
+
+    // Levenshtein distance between two strings, by code point
+    editDistance(a, b) {
+        const s = Array.from(a);
+        const t = Array.from(b);
+        let previous = Array.from({ length: t.length + 1 }, (_, j) => j);
+
+        for (let i = 1; i <= s.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= t.length; j++) {
+                current[j] = Math.min(
+                    previous[j] + 1,
+                    current[j - 1] + 1,
+                    previous[j - 1] + (s[i - 1] === t[j - 1] ? 0 : 1)
+                );
+            }
+            previous = current;
+        }
+        return previous[t.length];
+    },
+
+    // 1 for identical strings, 0 for nothing in common
+    similarity(a, b) {
+        const length = Math.max(Array.from(a).length, Array.from(b).length);
+        if (length === 0) return 1;
+        return 1 - this.editDistance(a, b) / length;
+    },
+
+    // Whether `next` continues `previous` (the rest of a line being revealed)
+    extends(previous, next) {
+        const stem = previous.replace(this.CLOSING_BRACKETS, '');
+        return Array.from(stem).length >= this.MIN_STEM && next.length > previous.length && next.startsWith(stem);
+    },
+
+    // Whether `next` is an earlier, shorter read of `previous`
+    isPrefixOf(next, previous) {
+        const stem = next.replace(this.CLOSING_BRACKETS, '');
+        return Array.from(stem).length >= this.MIN_STEM && next.length < previous.length && previous.startsWith(stem);
+    },
+
+    isSimilar(a, b) {
+        return this.similarity(a, b) >= this.SIMILAR;
+    },
+
+    // Distinct character pairs of a line (the character itself for one-character lines)
+    bigrams(text) {
+        const chars = Array.from(text);
+        if (chars.length < 2) return new Set(chars);
+        const grams = new Set();
+        for (let i = 0; i < chars.length - 1; i++) {
+            grams.add(chars[i] + chars[i + 1]);
+        }
+        return grams;
+    },
+
+    // Fuzzy index of many lines; ids are the order lines were added in
+    createIndex() {
+        return { lines: [], sizes: [], postings: new Map() };
+    },
+
+    addToIndex(index, text) {
+        const id = index.lines.length;
+        const grams = this.bigrams(text);
+        index.lines.push(text);
+        index.sizes.push(grams.size);
+        for (const gram of grams) {
+            if (!index.postings.has(gram)) index.postings.set(gram, []);
+            index.postings.get(gram).push(id);
+        }
+        return id;
+    },
+
+    // Id of an indexed line similar to `text`, or -1. Only lines sharing
+    // enough bigrams with it are compared by edit distance.
+    findSimilar(index, text, excludeId = -1) {
+        const grams = this.bigrams(text);
+        const shared = new Map();
+        for (const gram of grams) {
+            for (const id of index.postings.get(gram) || []) {
+                shared.set(id, (shared.get(id) || 0) + 1);
+            }
+        }
+
+        for (const [id, count] of shared) {
+            if (id === excludeId) continue;
+            const overlap = 2 * count / (grams.size + index.sizes[id]);
+            if (overlap >= this.MIN_SHARED_BIGRAMS && this.isSimilar(index.lines[id], text)) {
+                return id;
+            }
+        }
+        return -1;
+    }
+};
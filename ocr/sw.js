@@ -0,0 +1,117 @@
+/**
+ * Service Worker - Offline Support
+ *
+ * Keeps the app shell and ONNX Runtime Web available without a network
+ * connection. Model files are cached separately by MeikiOCR (see
+ * MODEL_CACHE_NAME in js/meikiocr.js) and are passed through untouched here.
+ *
+ * - App files (same origin): network first, falling back to the cache
+ * - ONNX Runtime (CDN, pinned version): cache first
+ */
+
+const SHELL_CACHE = 'gameocr-shell-v1';
+const ORT_PREFIX = 'https://cdn.jsdelivr.net/npm/onnxruntime-web@1.17.0/';
+
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'css/fonts.css',
+    'css/styles.css',
+    'js/ankiconnect.js',
+    'js/icons.js',
+    'js/settings.js',
+    'js/profiles.js',
+    'js/hudfilter.js',
+    'js/rules.js',
+    'js/corrections.js',
+    'js/textmatch.js',
+    'js/reviewtray.js',
+    'js/timer.js',
+    'js/texthook.js',
+    'js/capture.js',
+    'js/layout.js',
+    'js/preprocess.js',
+    'js/meikiocr.js',
+    'js/meikiproxy.js',
+    'js/meikiworker.js',
+    'js/httpocr.js',
+    'js/engines.js',
+    'js/detect.js',
+    'js/index.js',
+    ORT_PREFIX + 'dist/ort.min.js'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys.filter(key => key.startsWith('gameocr-shell-') && key !== SHELL_CACHE)
+                    .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+/**
+ * Serve from cache, fetching and storing on a miss
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function cacheFirst(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(request);
+    if (cached) {
+        return cached;
+    }
+    const response = await fetch(request);
+    if (response.ok) {
+        cache.put(request, response.clone());
+    }
+    return response;
+}
+
+/**
+ * Fetch from the network, refreshing the cache; fall back to the cache offline
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function networkFirst(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: true });
+        if (cached) {
+            return cached;
+        }
+        throw error;
+    }
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    if (request.url.startsWith(ORT_PREFIX)) {
+        event.respondWith(cacheFirst(request));
+        return;
+    }
+
+    // Only app files under this worker's scope; models and other origins pass through
+    const isShell = request.url.startsWith(self.registration.scope) && !request.url.endsWith('.onnx');
+    if (isShell) {
+        event.respondWith(networkFirst(request));
+    }
+});
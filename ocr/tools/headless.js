@@ -0,0 +1,112 @@
+#!/usr/bin/env node
+/**
+ * Headless MeikiOCR for Node
+ *
+ * Runs the same pipeline as the site (js/meikiocr.js) with onnxruntime-node
+ * and a Node canvas implementation plugged into its canvas/image adapter.
+ * Neither is part of the site; install them next to the repo with
+ *   npm install --no-save onnxruntime-node canvas
+ * (@napi-rs/canvas works too and needs no native build).
+ *
+ * Local model paths are resolved against the ocr/ directory, as the site
+ * resolves them against index.html, so models are read from the ext/
+ * directory next to ocr/; otherwise they are downloaded on every run (there
+ * is no Cache API under Node).
+ *
+ * Usage: node tools/headless.js <image> [...more images]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL, fileURLToPath } = require('url');
+
+const MeikiOCR = require('../js/meikiocr.js');
+
+/**
+ * Load the first of several interchangeable packages that is installed
+ * @param {Array} names - Package names in order of preference
+ * @returns {Object} - The loaded module
+ */
+function requireAny(names) {
+    for (const name of names) {
+        try {
+            return require(name);
+        } catch (error) {
+            if (error.code !== 'MODULE_NOT_FOUND') throw error;
+        }
+    }
+    throw new Error(`Missing dependency: install one of ${names.join(', ')}`);
+}
+
+/**
+ * MeikiOCR adapter backed by a Node canvas package
+ * @param {Object} canvasModule - `canvas` or `@napi-rs/canvas`
+ * @returns {Object} - {createCanvas, decodeImage, fetch}
+ */
+function createNodeAdapter(canvasModule) {
+    return {
+        createCanvas: (width, height) => canvasModule.createCanvas(width, height),
+
+        // loadImage takes file paths and data URLs as strings, or encoded bytes
+        decodeImage: async (source) => {
+            if (typeof source === 'string') {
+                return canvasModule.loadImage(source);
+            }
+            const bytes = source instanceof Blob ? await source.arrayBuffer() : source;
+            return canvasModule.loadImage(Buffer.from(bytes));
+        },
+
+        // Node's fetch doesn't read file: URLs, which local model paths resolve to
+        fetch: async (url) => {
+            if (!url.startsWith('file:')) {
+                return fetch(url);
+            }
+            try {
+                return new Response(await fs.promises.readFile(fileURLToPath(url)));
+            } catch (error) {
+                return new Response(null, { status: 404, statusText: error.code });
+            }
+        }
+    };
+}
+
+/**
+ * Initialize MeikiOCR for Node
+ * @param {Object} options - Extra MeikiOCR.init options (thresholds, preprocess, ...)
+ * @returns {Promise<Object>} - The initialized MeikiOCR module
+ */
+async function initHeadless(options = {}) {
+    const ort = requireAny(['onnxruntime-node']);
+    const canvasModule = requireAny(['canvas', '@napi-rs/canvas']);
+
+    await MeikiOCR.init({
+        useLocal: true,
+        baseUrl: pathToFileURL(path.join(__dirname, '..') + path.sep).href,
+        ort: ort,
+        adapter: createNodeAdapter(canvasModule),
+        ...options
+    });
+    return MeikiOCR;
+}
+
+module.exports = { createNodeAdapter, initHeadless };
+
+if (require.main === module) {
+    const images = process.argv.slice(2);
+    if (images.length === 0) {
+        console.error('Usage: node tools/headless.js <image> [...more images]');
+        process.exit(1);
+    }
+
+    (async () => {
+        const ocr = await initHeadless();
+        for (const image of images) {
+            const result = await ocr.recognize(fs.readFileSync(image));
+            console.log(`# ${image}`);
+            console.log(result.text);
+        }
+    })().catch((error) => {
+        console.error(error.message);
+        process.exit(1);
+    });
+}
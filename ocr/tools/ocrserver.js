@@ -0,0 +1,224 @@
+#!/usr/bin/env node
+/**
+ * Stand-in OCR server for testing the HttpOCR engine (js/httpocr.js)
+ *
+ * Answers every PNG frame with a fixed line of text, boxed to the full
+ * frame size. Frames can be POSTed over HTTP or sent as binary messages
+ * over a WebSocket on the same port. No dependencies; needs Node 18 or later.
+ *
+ * Usage: node tools/ocrserver.js [port] [text]
+ * Then pick "Local OCR server" in settings with endpoint
+ * http://localhost:<port>/ocr or ws://localhost:<port>/ocr
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+
+const PORT = parseInt(process.argv[2], 10) || 7331;
+const TEXT = process.argv[3] || '「テスト用のサーバーです」';
+
+/**
+ * Read the pixel size from a PNG's IHDR chunk
+ * @param {Buffer} png - PNG file contents
+ * @returns {Object|null} - {width, height} or null if not a PNG
+ */
+function readPngSize(png) {
+    const signature = '89504e470d0a1a0a';
+    if (png.length < 24 || png.subarray(0, 8).toString('hex') !== signature) {
+        return null;
+    }
+    return { width: png.readUInt32BE(16), height: png.readUInt32BE(20) };
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Build the reply to one frame
+ * @param {Buffer} png - Frame sent by the page
+ * @returns {Object} - {status, body} where body is the JSON response
+ */
+function answerFrame(png) {
+    const size = readPngSize(png);
+    if (!size) {
+        return { status: 400, body: { error: 'Request body is not a PNG image' } };
+    }
+
+    console.log(`${new Date().toISOString()} ${size.width}x${size.height} frame`);
+    return {
+        status: 200,
+        body: {
+            text: TEXT,
+            lines: [{ text: TEXT, box: [0, 0, size.width, size.height], confidence: 1 }]
+        }
+    };
+}
+
+// ========================
+// WEBSOCKET
+// ========================
+
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const OPCODE = { CONTINUATION: 0x0, TEXT: 0x1, BINARY: 0x2, CLOSE: 0x8, PING: 0x9, PONG: 0xA };
+
+/**
+ * Encode an unmasked server-to-client frame
+ * @param {number} opcode - Frame opcode
+ * @param {Buffer} payload - Frame payload
+ * @returns {Buffer}
+ */
+function encodeFrame(opcode, payload) {
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * Decode the first complete client frame in a buffer
+ * @param {Buffer} buffer - Bytes received so far
+ * @returns {Object|null} - {fin, opcode, payload, length} or null if incomplete
+ */
+function decodeFrame(buffer) {
+    if (buffer.length < 2) return null;
+
+    const fin = (buffer[0] & 0x80) !== 0;
+    const opcode = buffer[0] & 0x0F;
+    const masked = (buffer[1] & 0x80) !== 0;
+    let payloadLength = buffer[1] & 0x7F;
+    let offset = 2;
+
+    if (payloadLength === 126) {
+        if (buffer.length < 4) return null;
+        payloadLength = buffer.readUInt16BE(2);
+        offset = 4;
+    } else if (payloadLength === 127) {
+        if (buffer.length < 10) return null;
+        payloadLength = Number(buffer.readBigUInt64BE(2));
+        offset = 10;
+    }
+
+    const maskLength = masked ? 4 : 0;
+    if (buffer.length < offset + maskLength + payloadLength) return null;
+
+    const mask = buffer.subarray(offset, offset + maskLength);
+    offset += maskLength;
+    const payload = Buffer.from(buffer.subarray(offset, offset + payloadLength));
+    if (masked) {
+        for (let i = 0; i < payload.length; i++) {
+            payload[i] ^= mask[i % 4];
+        }
+    }
+    return { fin, opcode, payload, length: offset + payloadLength };
+}
+
+/**
+ * Complete the WebSocket handshake and answer each binary message
+ * with one JSON text message
+ * @param {http.IncomingMessage} req - Upgrade request
+ * @param {net.Socket} socket - Connection to the page
+ */
+function acceptWebSocket(req, socket) {
+    const key = req.headers['sec-websocket-key'];
+    if (!key || String(req.headers.upgrade).toLowerCase() !== 'websocket') {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '', ''
+    ].join('\r\n'));
+    console.log(`${new Date().toISOString()} WebSocket connected`);
+
+    let received = Buffer.alloc(0);
+    let message = [];      // payloads of a fragmented message
+    let messageOpcode = null;
+
+    socket.on('data', (chunk) => {
+        received = Buffer.concat([received, chunk]);
+
+        let frame;
+        while ((frame = decodeFrame(received))) {
+            received = received.subarray(frame.length);
+
+            if (frame.opcode === OPCODE.CLOSE) {
+                socket.end(encodeFrame(OPCODE.CLOSE, frame.payload.subarray(0, 2)));
+                return;
+            }
+            if (frame.opcode === OPCODE.PING) {
+                socket.write(encodeFrame(OPCODE.PONG, frame.payload));
+                continue;
+            }
+            if (frame.opcode === OPCODE.PONG) {
+                continue;
+            }
+
+            if (frame.opcode !== OPCODE.CONTINUATION) {
+                messageOpcode = frame.opcode;
+                message = [];
+            }
+            message.push(frame.payload);
+            if (!frame.fin) continue;
+
+            const data = Buffer.concat(message);
+            message = [];
+            const { body } = messageOpcode === OPCODE.BINARY
+                ? answerFrame(data)
+                : { body: { error: 'Send frames as binary PNG messages' } };
+            socket.write(encodeFrame(OPCODE.TEXT, Buffer.from(JSON.stringify(body))));
+        }
+    });
+
+    socket.on('close', () => console.log(`${new Date().toISOString()} WebSocket closed`));
+    socket.on('error', () => socket.destroy());
+}
+
+const server = http.createServer((req, res) => {
+    // The OCR page is served from another origin, possibly over HTTPS
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    res.setHeader('Access-Control-Allow-Private-Network', 'true');
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        res.end();
+        return;
+    }
+
+    if (req.method !== 'POST') {
+        sendJson(res, 405, { error: 'Use POST with an image/png body' });
+        return;
+    }
+
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+        const { status, body } = answerFrame(Buffer.concat(chunks));
+        sendJson(res, status, body);
+    });
+});
+
+server.on('upgrade', acceptWebSocket);
+
+server.listen(PORT, () => {
+    console.log(`Stand-in OCR server listening on http://localhost:${PORT}/ocr and ws://localhost:${PORT}/ocr`);
+});
@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+/**
+ * Golden-image regression suite for MeikiOCR
+ *
+ * Runs headless MeikiOCR (tools/headless.js) over game-style screenshots
+ * and compares the output with the expected text. The bundled cases in
+ * tools/regression/images are rendered with Noto Sans JP, so their expected
+ * text is exactly what was drawn. Run it before upgrading
+ * models or changing thresholds and preprocessing defaults.
+ *
+ * Usage: node tools/regression.js [manifest] [--update]
+ *   manifest  Case list, default tools/regression/cases.json
+ *   --update  Write the current output as the expected text of every case
+ *             (use it to add cases, then review the diff before committing)
+ *
+ * Manifest format (image paths are relative to the manifest):
+ *   {
+ *     "maxErrorRate": 0.05,
+ *     "cases": [
+ *       {"image": "images/dialogue.png", "expected": "line one\nline two",
+ *        "options": {"thresholds": {...}, "preprocess": {...}}, "maxErrorRate": 0.1}
+ *     ]
+ *   }
+ * A case passes when its character error rate (edit distance / expected
+ * length) is within maxErrorRate. Exits non-zero if any case fails or the
+ * manifest has no cases.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { initHeadless } = require('./headless.js');
+
+const DEFAULT_MANIFEST = path.join(__dirname, 'regression', 'cases.json');
+const DEFAULT_MAX_ERROR_RATE = 0.05;
+
+/**
+ * Levenshtein distance between two strings, by code point
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function editDistance(a, b) {
+    const s = Array.from(a);
+    const t = Array.from(b);
+    let previous = Array.from({ length: t.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= s.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= t.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (s[i - 1] === t[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[t.length];
+}
+
+/**
+ * Character error rate of OCR output against the expected text
+ * @param {string} actual
+ * @param {string} expected
+ * @returns {number}
+ */
+function errorRate(actual, expected) {
+    const length = Array.from(expected).length;
+    if (length === 0) return actual.length === 0 ? 0 : 1;
+    return editDistance(actual, expected) / length;
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const update = args.includes('--update');
+    const manifestPath = path.resolve(args.find(arg => !arg.startsWith('--')) || DEFAULT_MANIFEST);
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    const cases = manifest.cases || [];
+
+    if (cases.length === 0) {
+        console.error(`No cases in ${manifestPath}`);
+        return 1;
+    }
+
+    const ocr = await initHeadless();
+    let failures = 0;
+
+    for (const testCase of cases) {
+        const imagePath = path.resolve(path.dirname(manifestPath), testCase.image);
+        const result = await ocr.recognize(fs.readFileSync(imagePath), testCase.options || {});
+
+        if (update) {
+            testCase.expected = result.text;
+            console.log(`UPDATE ${testCase.image}`);
+            continue;
+        }
+
+        const maxErrorRate = testCase.maxErrorRate ?? manifest.maxErrorRate ?? DEFAULT_MAX_ERROR_RATE;
+        const rate = errorRate(result.text, testCase.expected || '');
+        const passed = rate <= maxErrorRate;
+
+        console.log(`${passed ? 'PASS' : 'FAIL'} ${testCase.image} (error rate ${rate.toFixed(3)}, max ${maxErrorRate})`);
+        if (!passed) {
+            failures++;
+            console.log(`  expected: ${JSON.stringify(testCase.expected)}`);
+            console.log(`  actual:   ${JSON.stringify(result.text)}`);
+        }
+    }
+
+    if (update) {
+        fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2) + '\n');
+        return 0;
+    }
+
+    console.log(`${cases.length - failures}/${cases.length} passed`);
+    return failures > 0 ? 1 : 0;
+}
+
+main().then((code) => {
+    process.exitCode = code;
+}).catch((error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+});